@@ -13,7 +13,8 @@ var UI = (function(){
     |* INIT *|
     \********/
     $(function(){
-        UI.client = MPD(8800);
+        //the seek slider fires on every bit of dragging, MPD doesn't need to hear about all of it
+        UI.client = MPD({port:8800, throttle:{seekid:250}});
 
         UI.client.on('StateChanged',updateState);
 
@@ -270,6 +271,22 @@ var UI = (function(){
      * perform a search with the criteria in the form
      */
     function doSearch(element){
+       var params = getSearchParams(element);
+       UI.client.search(params, function(results){
+           var options_code = '';
+           results.forEach(function(option){
+               options_code += '<option value="'+option.getPath()+'">'+option.getDisplayName()+'</option>';
+           });
+           //remember what these are the results of, the form might be changed before they are added
+           $(element).parents('form').find('.MPD_search_results').html(options_code).data('search_params', params);
+       });
+    }
+
+
+    /**
+     * get the search parameters out of the criteria in the form
+     */
+    function getSearchParams(element){
        var params = {}
        //iterate over the rows of the form to get the search parameters
        $(element).parents('form').find('tr').each(function(goddamnitjqueryIalmostneverneedtheindexandalmostalwaysforgettoputagarbagevariablehere, row){
@@ -277,13 +294,7 @@ var UI = (function(){
            var val = $(row).find('.search_value').val();
            params[tag] = val;
        });
-       UI.client.search(params, function(results){
-           var options_code = '';
-           results.forEach(function(option){
-               options_code += '<option value="'+option.getPath()+'">'+option.getDisplayName()+'</option>';
-           });
-           $(element).parents('form').find('.MPD_search_results').html(options_code);
-       });
+       return params;
     }
 
 
@@ -304,12 +315,11 @@ var UI = (function(){
      *
      */
     function addAllSearchResultsToQueue(element){
-        var result_element = $(element).parents('form').find('.MPD_search_results');
-        var results = [];
-        var mpd_client = UI.client;
-        result_element.find('option').each(function(garbage,option){
-            mpd_client.addSongToQueueByFile($(option).attr('value'));
-        });
+        var params = $(element).parents('form').find('.MPD_search_results').data('search_params');
+        if(params){
+            //let MPD add them all in one go rather than one command per song
+            UI.client.searchAdd(params);
+        }
     }
 
 
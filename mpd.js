@@ -9,12 +9,31 @@
  * var mpd_client = MPD(8800);
  * //set handler for when the state changes
  * mpd_client.on('StateChanged', updateUiFunction);
+ * //or, with everything spelled out
+ * var other_client = MPD({host:'wss://example.com', port:8800, password:'hunter2', reconnect:false});
  * @class
- * @param {Integer} [_port] - the portnumber our client should try to cennect to our winsockifyed MPD instance with
+ * @throws {Error} an Error if the options don't make sense (bad port, host and path both given, etc.)
+ * @param {(Integer|clientOptions)} [_port] - the portnumber our client should try to cennect to our winsockifyed MPD instance with, or an object with all of the options
  * @param {String} [_host=document.URL] - hostname to try to connect to, defaults to the domain of the current page
  * @param {String} [_password] - password to connect with (if needed)
+ * @param {clientOptions} [_options] - additional configuration, anything but host, port and password
  */
-function MPD(_port, _host, _password){
+function MPD(_port, _host, _password, _options){
+
+    if(_port === null || typeof _port !== 'object'){
+        //the positional form, MPD(port, host, password, options)
+        var positional = {port:_port, host:_host, password:_password};
+        for(var key in _options){
+            if(!(key in positional)){
+                positional[key] = _options[key];
+            }
+        }
+        _port = positional;
+    }
+    _options = normalizeOptions(_port);
+    _port = _options.port;
+    _host = (typeof _options.path !== 'undefined') ? _options.path : _options.host;
+    _password = _options.password;
 
     /**
      * this will be the final output interface, but it is used to refer to the client as a 'this' like object
@@ -31,11 +50,43 @@ function MPD(_port, _host, _password){
      * @instance
      * @function
      * @throws {Error} an Error if you try to listen to an invalid event type
-     * @param {String} event_name - what sort of event to listen for. must be one of the following:  'Error', 'Event', 'UnhandledEvent', 'AuthFailure', 'DatabaseChanging', 'DataLoaded', 'OutputChanged', 'StateChanged', 'QueueChanged', 'PlaylistsChanged', 'PlaylistChanged','Connect', 'Disconnect'
-     * @param {errorEventHandler|disconnectEventHandler|connectEventHandler|playlistsChangedEventHandler|queueChangedEventHandler|outputChangedEventHandler|stateChangedEventHandler|dataLoadedEventHandler|databaseChangingEventHandler|unhandledEventHandler|eventHandler|errorEventHandler} handler - function called when the given event happens
+     * @param {String} event_name - what sort of event to listen for. must be one of the following:  'Error', 'Event', 'UnhandledEvent', 'AuthFailure', 'DatabaseChanging', 'DataLoaded', 'OutputChanged', 'StateChanged', 'SongChanged', 'NextSongChanged', 'VolumeChanged', 'PlaystateChanged', 'OptionsChanged', 'Seeked', 'QueueChanged', 'PlaylistsChanged', 'PlaylistChanged','Connect', 'Disconnect', 'ConnectionStateChanged', 'StateReconciled', 'BitrateChanged', 'AudioFormatChanged', 'UpdatingJobChanged', 'PlayerErrorChanged', 'StickersChanged', 'Message', 'ChannelsChanged', 'PartitionChanged', 'PartitionsChanged'
+     * @param {errorEventHandler|disconnectEventHandler|connectEventHandler|connectionStateChangedEventHandler|stateReconciledEventHandler|stickersChangedEventHandler|messageEventHandler|channelsChangedEventHandler|partitionsChangedEventHandler|playlistsChangedEventHandler|queueChangedEventHandler|outputChangedEventHandler|stateChangedEventHandler|valueChangedEventHandler|optionsChangedEventHandler|dataLoadedEventHandler|databaseChangingEventHandler|unhandledEventHandler|eventHandler|errorEventHandler} handler - function called when the given event happens
+     * @returns {Function} call this to remove the handler again
      */
     self.on = on;
 
+    /**
+     * adds an event handler that is removed again after the first time it is called
+     * @instance
+     * @function
+     * @throws {Error} an Error if you try to listen to an invalid event type
+     * @param {String} event_name - what sort of event to listen for, same as {@link MPD#on}
+     * @param {Function} handler - function called the next time the given event happens
+     * @returns {Function} call this to remove the handler if it hasn't been called yet
+     */
+    self.once = once;
+
+    /**
+     * removes an event handler that was added with on or once
+     * if the same function was added more than once, all of them are removed
+     * @instance
+     * @function
+     * @throws {Error} an Error if you give an invalid event type
+     * @param {String} event_name - the event the handler was added for
+     * @param {Function} handler - the function that was passed to on or once
+     */
+    self.off = off;
+
+    /**
+     * removes every handler for the given event, or every handler for every event if no event is given
+     * @instance
+     * @function
+     * @throws {Error} an Error if you give an invalid event type
+     * @param {String} [event_name] - the event to stop listening to
+     */
+    self.removeAllListeners = removeAllListeners;
+
     /**
      * returns an object representation of the current state of MPD as the client understands it right now
      * this does NOT map to the client's functional API
@@ -80,7 +131,7 @@ function MPD(_port, _host, _password){
     /**
      * return the host this client was instansiated with and thet it is (attempting to) connect with
      * @instance
-     * @returns {String} the host name the MPD client is (trying to be) connected to
+     * @returns {String} the host name (or Unix socket path) the MPD client is (trying to be) connected to
      */
     self.getHost = function(){
         return _host;
@@ -104,6 +155,111 @@ function MPD(_port, _host, _password){
         return _private.state.connected == true;
     };
 
+    /**
+     * (re)open the connection to MPD, if it has been closed with disconnect. does nothing if we are already connected (or connecting)
+     * @instance
+     * @throws {Error} an Error if the client has been destroyed
+     * @returns {Promise} resolves with the client once it has connected and loaded it's data (just the status if autoLoad is off), rejects if the connection is lost before that
+     */
+    self.connect = function(){
+        if(_private.destroyed){
+            throw new Error('this client has been destroyed');
+        }
+
+        _private.closing = false;
+
+        if(_private.inited && _private.state.connected){
+            return Promise.resolve(self);
+        }
+
+        var ret = new Promise(function(resolve, reject){
+            var stop_waiting = function(){
+                stop_ready();
+                stop_disconnect();
+            };
+            var stop_ready = on('ConnectionStateChanged', function(change){
+                if(change.current === 'ready'){
+                    stop_waiting();
+                    resolve(self);
+                }
+            });
+            var stop_disconnect = once('Disconnect', function(){
+                stop_waiting();
+                reject(new MPD.ConnectionError('the connection to MPD was lost'));
+            });
+        });
+        ret.catch(function(){});
+
+        if(!_private.socket){
+            clearTimeout(_private.reconnect_timer);
+            _private.reconnect_timer = null;
+            init();
+        }
+
+        return ret;
+    };
+
+    /**
+     * load (or reload) everything there is to know about MPD: the queue, status, tag types, outputs and playlists.
+     * this happens on it's own when we connect, unless the client was made with autoLoad turned off
+     * @instance
+     * @returns {Promise} resolves with the client once everything is loaded and DataLoaded has fired, rejects if it could not be loaded
+     */
+    self.load = function(){
+        return loadEverything().then(function(){
+            return self;
+        });
+    };
+
+    /**
+     * close the connection to MPD and stop trying to reconnect. MPD is sent 'close' first, if we are connected.
+     * commands that haven't been sent yet are thrown away (their promises are rejected), and until it's open again commands fail right away with a {@link ConnectionError}.
+     * use connect to open it again
+     * @instance
+     * @function
+     */
+    self.disconnect = disconnect;
+
+    /**
+     * disconnect, remove all event handlers and stop all timers, for when you are done with this client for good.
+     * the client can't be used after this, commands that are still waiting (and any issued later) fail with a {@link ConnectionError}
+     * @instance
+     */
+    self.destroy = function(){
+        _private.destroyed = true;
+        disconnect();
+        removeAllListeners();
+        clearTimeout(_private.command_timer);
+        _private.command_timer = null;
+    };
+
+    /**
+     * where the connection is at
+     * @instance
+     * @returns {String} 'connecting', 'authenticating', 'loading', 'ready', 'reconnecting' or 'closed'
+     */
+    self.getConnectionState = function(){
+        return _private.connection_state;
+    };
+
+    /**
+     * change how the client goes about reconnecting when it looses it's connection
+     * @instance
+     * @param {(reconnectPolicy|Boolean)} policy - the new policy, anything left out gets the default, false to not reconnect at all
+     */
+    self.setReconnectPolicy = function(policy){
+        _private.reconnect = normalizeReconnectPolicy(policy);
+    };
+
+    /**
+     * how long the last heartbeat took to get to MPD and back
+     * @instance
+     * @returns {?Integer} round trip time in milliseconds, null if there hasn't been a heartbeat yet on this connection
+     */
+    self.getLatency = function(){
+        return _private.latency;
+    };
+
     /**
      * Returns a string enum describing the playback state
      * @instance
@@ -176,6 +332,69 @@ function MPD(_port, _host, _password){
         return _private.state.mix_ramp_threshold;
     };
 
+    /**
+     * the bitrate of what is playing right now
+     * @instance
+     * @returns {?Integer} kbit/s, null if nothing is playing
+     */
+    self.getBitrate = function(){
+        return _private.state.bitrate;
+    };
+
+    /**
+     * the format of the audio that is playing right now
+     * @instance
+     * @returns {?audioFormat} null if nothing is playing
+     */
+    self.getAudioFormat = function(){
+        return _private.state.audio_format ? cloneObject(_private.state.audio_format) : null;
+    };
+
+    /**
+     * how long the current song is, as MPD's player sees it (this can be known even when the song's tags don't say)
+     * @instance
+     * @returns {?Float} seconds, null if there is no current song
+     */
+    self.getDuration = function(){
+        return _private.state.duration;
+    };
+
+    /**
+     * the id of the database update that is running, see {@link MPD#updateDatabase}
+     * @instance
+     * @returns {?Integer} null if the database isn't being updated
+     */
+    self.getUpdatingJobId = function(){
+        return _private.state.updating_job_id;
+    };
+
+    /**
+     * the error the player ran into, i.e. a song that couldn't be decoded. MPD forgets about it when playback is started again
+     * @instance
+     * @returns {?String} null if there is no error
+     */
+    self.getPlayerError = function(){
+        return _private.state.player_error;
+    };
+
+    /**
+     * the name of the partition this client is in
+     * @instance
+     * @returns {?String} null if MPD is too old to have partitions
+     */
+    self.getPartition = function(){
+        return _private.state.partition;
+    };
+
+    /**
+     * the replay gain mode
+     * @instance
+     * @returns {?String} 'off', 'track', 'album' or 'auto'
+     */
+    self.getReplayGainMode = function(){
+        return _private.state.replay_gain_mode;
+    };
+
 
     /**
      * gets the currently playing song
@@ -262,20 +481,23 @@ function MPD(_port, _host, _password){
      * fetches a playlist from MPD identified by it's name
      * @instance
      * @param {String} playlist name - the name of the playlist you want
-     * @param {playlistCallback} onDone - function to call with the playlist when we get it
+     * @param {playlistCallback} [onDone] - function to call with the playlist when we get it
+     * @returns {Promise} resolves with the same thing onDone is passed, rejects with an {@link MPDError} if it failed
      */
     self.getPlaylist = function(name, onDone){
         var ret = null;
         for(var i = 0; i<_private.state.playlists.length; i++){
             if(_private.state.playlists[i].playlist==name){
-                issueCommands({
-                    command:'listplaylistinfo "'+name+'"',
+                return issueCommands({
+                    command:MPD.buildCommand('listplaylistinfo', name),
                     handler:getPlaylistHandler(onDone, i)
                 });
-                return;
             }
         };
-        onDone(null);
+        if(onDone){
+            onDone(null);
+        }
+        return Promise.resolve(null);
     };
 
 
@@ -318,133 +540,149 @@ function MPD(_port, _host, _password){
      * turns on the output specified by the id
      * @param {Integer} id -- the identifier of the output to turn on
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.enableOutput = function(id){
-        issueCommands('enableoutput '+id);
+        return issueCommands(MPD.buildCommand('enableoutput', id));
     };
 
     /**
      * turns off the output specified by the id
      * @param {Integer} id -- the identifier of the output to turn off
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.disableOutput = function(id){
-        issueCommands('disableoutput '+id);
+        return issueCommands(MPD.buildCommand('disableoutput', id));
     };
 
     /**
      * turns on consume mode
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.enablePlayConsume = function(){
-        issueCommands('consume 1');
+        return issueStateCommand(MPD.buildCommand('consume', 1), {consume:1});
     };
 
     /**
      * turns off consume mode
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.disablePlayConsume = function(){
-        issueCommands('consume 0');
+        return issueStateCommand(MPD.buildCommand('consume', 0), {consume:0});
     };
 
     /**
      * turns on crossfade
      * @param {String} time -- time to crossfade in seconds, 0 to disable
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.setCrossfade = function(time) {
-        issueCommands('crossfade '+time);
+        return issueStateCommand(MPD.buildCommand('crossfade', time), {crossfade:parseFloat(time)});
     };
 
     /**
      * turns on random play mode
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.enableRandomPlay = function(){
-        issueCommands('random 1');
+        return issueStateCommand(MPD.buildCommand('random', 1), {random:1});
     };
 
     /**
      * turns off random play mode
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.disableRandomPlay = function(){
-        issueCommands('random 0');
+        return issueStateCommand(MPD.buildCommand('random', 0), {random:0});
     };
 
     /**
      * turns on repeat play mode
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.enableRepeatPlay = function(){
-        issueCommands('repeat 1');
+        return issueStateCommand(MPD.buildCommand('repeat', 1), {repeat:1});
     };
 
     /**
      * turns of repeat play mode
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.disableRepeatPlay = function(){
-        issueCommands('repeat 0');
+        return issueStateCommand(MPD.buildCommand('repeat', 0), {repeat:0});
     };
 
     /**
      * turns on single play mode
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.enableSinglePlay = function(){
-        issueCommands('single 1');
+        return issueStateCommand(MPD.buildCommand('single', 1), {single:1});
     };
 
     /**
      * turns of single play mode
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.disableSinglePlay = function(){
-        issueCommands('single 0');
+        return issueStateCommand(MPD.buildCommand('single', 0), {single:0});
     };
 
     /**
      * Sets the threshold at which songs will be overlapped. Like crossfading but doesn't fade the track volume, just overlaps. The songs need to have MixRamp tags added by an external tool. 0dB is the normalized maximum volume so use negative values, I prefer -17dB. In the absence of mixramp tags crossfading will be used. See http:     // sourceforge.net/projects/mixramp
      * @instance
      * @param {Float} decibels
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.setMixRampDb = function(decibels){
-        issueCommands('mixrampdb '+decibels);
+        return issueStateCommand(MPD.buildCommand('mixrampdb', decibels), {mix_ramp_threshold:parseFloat(decibels)});
     };
 
     /**
      * Additional time subtracted from the overlap calculated by mixrampdb. A value of "nan" disables MixRamp overlapping and falls back to crossfading.
      * @instance
      * @param {(float|string)} seconds - time in seconds or "nan" to disable
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.setMixRampDelay = function(seconds){
-        issueCommands('mixrampdelay '+seconds);
+        return issueCommands(MPD.buildCommand('mixrampdelay', seconds));
     };
 
     /**
      * Sets volume, the range of volume is 0-1.
      * @instance
      * @param {Float} volume - 0-1
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.setVolume = function(volume){
         volume = Math.min(1,volume);
         volume = Math.max(0,volume);
-        issueCommands('setvol '+Math.round(volume*100));
+        return issueStateCommand(MPD.buildCommand('setvol', Math.round(volume*100)), {volume:Math.round(volume*100)/100});
     };
 
     /**
      * Begins playing if not playing already. optional parameter starts playing a particular song
      * @instance
      * @param {Integer} [queue_position=<current song>] - the song to start playing
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.play = function(queue_position){
         if(typeof queue_position != 'undefined'){
-            issueCommands('play '+queue_position);
+            var song = getSongOnQueue(queue_position);
+            return issueStateCommand(MPD.buildCommand('play', queue_position), song ? {playstate:'play', song_id:song.getId(), elapsed_time:0} : {});
         }
         else{
-            issueCommands('play');
+            return issueStateCommand('play', {playstate:'play'});
         }
     };
 
@@ -452,82 +690,96 @@ function MPD(_port, _host, _password){
      * Begins playing the playlist at song identified by the passed song_id.
      * @instance
      * @param {Integer} song_id - the queue id of the song you want to start playing
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.playById = function(song_id){
-        issueCommands('playid '+song_id);
+        return issueStateCommand(MPD.buildCommand('playid', song_id), {playstate:'play', song_id:song_id, elapsed_time:0});
     };
 
     /**
      * pauses/resumes playing
      * @instance
      * @param {Boolean} [do_pause=true] - true if you want to pause, false if you want to be unpaused
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.pause = function(do_pause){
+        //pausing (or unpausing) doesn't do anything if we are stopped
         if(typeof do_pause == 'undefined' || do_pause){
-            issueCommands('pause 1');
+            return issueStateCommand(MPD.buildCommand('pause', 1), _private.state.playstate === 'play' ? {playstate:'pause'} : {});
         }
         else{
-            issueCommands('pause 0');
+            return issueStateCommand(MPD.buildCommand('pause', 0), _private.state.playstate === 'pause' ? {playstate:'play'} : {});
         }
     };
 
     /**
      * Plays next song in the queue.
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.next = function(){
-        issueCommands('next');
+        return issueCommands('next');
     };
 
     /**
      * Plays previous song in the queue.
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.previous = function(){
-        issueCommands('previous');
+        return issueCommands('previous');
     };
 
     /**
      * Seeks to the position time (in seconds) within the current song. If prefixed by '+' or '-', then the time is relative to the current playing position.
      * @instance
      * @param {(float|string)} - what point in the current song to seek to or string with a signed float in it for relative seeking. i.e. "+0.1" to seek 0.1 seconds into the future, "-0.1" to seek 0.1 seconds into the past
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.seek = function(time){
-        issueCommands('seekid '+_private.state.current_song.id+' '+time);
+        var elapsed_time = parseFloat(time);
+        if(/^[+-]/.test(String(time))){
+            elapsed_time += getCurrentSongTime();
+        }
+        return issueStateCommand(MPD.buildCommand('seekid', _private.state.current_song.id, time), {elapsed_time:Math.max(0, elapsed_time)});
     };
 
     /**
      * Stops playing.
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.stop = function(){
-        issueCommands('stop');
+        return issueStateCommand('stop', {playstate:'stop'});
     };
 
     /**
      * Adds the file to the playlist (directories add recursively).
      * @instance
      * @param {String} pathname - of a single file or directory. relative to MPD's mussic root directory
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.addSongToQueueByFile = function(filename){
-        issueCommands('add "'+filename+'"');
+        return issueCommands(MPD.buildCommand('add', filename));
     };
 
     /**
      * Clears the current queue
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.clearQueue = function(){
-        issueCommands('clear');
+        return issueCommands('clear');
     };
 
     /**
      * Deletes a song from the queue
      * @instance
      * @param {Integer} position - index into the queue to the song you don't want to be on the queue any more
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.removeSongFromQueueByPosition = function(position){
-        issueCommands('delete '+position);
+        return issueCommands(MPD.buildCommand('delete', position));
     };
 
     /**
@@ -535,18 +787,20 @@ function MPD(_port, _host, _password){
      * @instance
      * @param {Integer} start - the queue index of the first song on the playlist you want to remove
      * @param {Integer} end - the queue index of the last song on the playlist you want to remove
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.removeSongsFromQueueByRange = function(start, end){
-        issueCommands('delete '+start+' '+end);
+        return issueCommands(MPD.buildCommand('delete', start, end));
     };
 
     /**
      * Deletes the song identified with the passed queue id from the playlist
      * @instance
      * @param {Integer} id - the queue id of the song you want to remove from the queue
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.removeSongFromQueueById = function(id){
-        issueCommands('deleteid '+id);
+        return issueCommands(MPD.buildCommand('deleteid', id));
     };
 
     /**
@@ -554,9 +808,10 @@ function MPD(_port, _host, _password){
      * @instance
      * @param {Integer} position - the position of the song to move
      * @param {Integer} to - where you want the sang to go
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.moveSongOnQueueByPosition = function(position, to){
-        issueCommands('move '+position+' '+to);
+        return issueCommands(MPD.buildCommand('move', position, to));
     };
 
     /**
@@ -565,9 +820,10 @@ function MPD(_port, _host, _password){
      * @param {Integer} start - the queue index of the first song on the queue you want to move
      * @param {Integer} end - the queue index of the last song on the queue you want to move
      * @param {Integer} to - the queue index were the first song should end up
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.moveSongsOnQueueByPosition = function(start, end, to){
-        issueCommands('move '+start+':'+end+' '+to);
+        return issueCommands(MPD.buildCommand('move', start+':'+end, to));
     };
 
     /**
@@ -575,17 +831,19 @@ function MPD(_port, _host, _password){
      * @instance
      * @param {Integer} id - queue id of the song you want to move
      * @param {Integer} to - the queue indes you want it to be
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.moveSongOnQueueById = function(id, to){
-        issueCommands('moveid '+id+' '+to);
+        return issueCommands(MPD.buildCommand('moveid', id, to));
     };
 
     /**
      * Shuffles the current playlist.
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.shuffleQueue = function(){
-        issueCommands('shuffle');
+        return issueCommands('shuffle');
     };
 
     /**
@@ -593,9 +851,10 @@ function MPD(_port, _host, _password){
      * @instance
      * @param {Integer} pos1 - queue index of the first song
      * @param {Integer} pos2 - queue index of the second song
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.swapSongsOnQueueByPosition = function(pos1, pos2){
-        issueCommands('swap '+pos1+' '+pos2);
+        return issueCommands(MPD.buildCommand('swap', pos1, pos2));
     };
 
     /**
@@ -603,29 +862,32 @@ function MPD(_port, _host, _password){
      * @instance
      * @param {Integer} id1 - queue id of the first song
      * @param {Integer} id2 - queue id of the second song
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.swapSongsOnQueueById = function(id1, id2){
-        issueCommands('swapid '+id1+' '+id2);
+        return issueCommands(MPD.buildCommand('swapid', id1, id2));
     };
 
     /**
      * Loads the given playlist to the end of the current queue.
      * @instance
      * @param {String} playlist_name - the name of the playlist you want to append to the queue
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.appendPlaylistToQueue = function(playlist_name){
-        issueCommands('load "'+playlist_name+'"');
+        return issueCommands(MPD.buildCommand('load', playlist_name));
     };
 
     /**
      * Loads the given playlist into the current queue replacing it.
      * @instance
      * @param {String} playlist_name - the name of the playlist you want to append to the queue
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.loadPlaylistIntoQueue = function(playlist_name){
-        issueCommands([
+        return issueCommands([
             'clear',
-            'load "'+playlist_name+'"'
+            MPD.buildCommand('load', playlist_name)
         ]);
     };
 
@@ -633,9 +895,10 @@ function MPD(_port, _host, _password){
      * Saves the current queue as a the given playlist, overwrites exsisting playlist of that name if it exsists, otherwise makes a new one
      * @instance
      * @param {String} playlist_name - the name of the playlist you want to use as your new queue
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.saveQueueToPlaylist = function(playlist_name){
-        issueCommands('save "'+playlist_name+'"');
+        return issueCommands(MPD.buildCommand('save', playlist_name));
     };
 
     /**
@@ -643,18 +906,20 @@ function MPD(_port, _host, _password){
      * @instance
      * @param {String} playlist_name - the playlist to add the song to
      * @param {String} filename - the filename of the song you want to add
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.addSongToPlaylistByFile = function(playlist_name, filename){
-        issueCommands('playlistadd "'+playlist_name+'" "'+filename+'"');
+        return issueCommands(MPD.buildCommand('playlistadd', playlist_name, filename));
     };
 
     /**
      * Clears the playlist leaving it still in exsistance, but empty
      * @instance
      * @param {String} playlist_name - the poor unfortunate playlist you want to hollow out
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.clearPlaylist = function(playlist_name){
-        issueCommands('playlistclear "'+playlist_name+'"');
+        return issueCommands(MPD.buildCommand('playlistclear', playlist_name));
     };
 
     /**
@@ -662,9 +927,10 @@ function MPD(_port, _host, _password){
      * @instance
      * @param {String} playlist_name - the name of the playlist with a song on it that you think shouldn't be there anymore
      * @param {Integer} position - the position in the playlist of the song you want to remove
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.removeSongFromPlaylistByPosition = function(playlist_name, position){
-        issueCommands('playlistdelete "'+playlist_name+'" '+position);
+        return issueCommands(MPD.buildCommand('playlistdelete', playlist_name, position));
     };
 
     /**
@@ -673,9 +939,10 @@ function MPD(_port, _host, _password){
      * @param {String} playlist_name - the name of the playlist on which you want to move a song
      * @param {Integer} from - position on the playlist of the song you want to move
      * @param {Integer} to - the position to which you want to move the song
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.moveSongOnPlaylistByPosition = function(playlist_name, from, to){
-        issueCommands('playlistmove "'+playlist_name+'" '+from+' '+to);
+        return issueCommands(MPD.buildCommand('playlistmove', playlist_name, from, to));
     };
 
     /**
@@ -683,36 +950,40 @@ function MPD(_port, _host, _password){
      * @instance
      * @param {String} playlist_name - the name is it right now
      * @param {String} new_name - the name it should be
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.renamePlaylist = function(playlist_name, new_name){
-        issueCommands('rename "'+playlist_name+'" "'+new_name+'"');
+        return issueCommands(MPD.buildCommand('rename', playlist_name, new_name));
     };
 
     /**
      * this kills the playlist
      * @instance
      * @param {String} playlist_name - the name of the playlist you want to obliterate and never see any trace of again
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.deletePlaylist = function(playlist_name){
-        issueCommands('rm "'+playlist_name+'"');
+        return issueCommands(MPD.buildCommand('rm', playlist_name));
     };
 
     /**
      * Updates the music database: find new files, remove deleted files, update modified files.
      * @instance
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
      */
     self.updateDatabase = function(){
-        issueCommands('update');
+        return issueCommands('update');
     };
 
     /**
      * @instance
      * @param {String} [path] - path to the directory you are interested in relative to MPD's music root directory (root is a blank string, never start with '/')
-     * @param {directoryContentsCallback}
+     * @param {directoryContentsCallback} [onDone]
+     * @returns {Promise} resolves with the same thing onDone is passed, rejects with an {@link MPDError} if it failed
      */
     self.getDirectoryContents = function(path, onDone){
-        issueCommands({
-            command:'lsinfo "'+path+'"',
+        return issueCommands({
+            command:MPD.buildCommand('lsinfo', path),
             handler:getDirectoryHandler(onDone)
         });
     };
@@ -741,150 +1012,713 @@ function MPD(_port, _host, _password){
      *     }
      * );
      * @instance
-     * @param {Object[]} params - Array of objects that maps a tag to a value that you want to find matches on that tag for {tag<string> => value<string>}. For a list of acceptable tag/keys @see {@link getTagTypes}. For a list of acceptable values for a given tag @see {@link getTagOptions}.
-     * @param {searchResultsCallback} onDone - function called when the search results have come back, is passed the results as it's only parameter
+     * @param {(Object|Filter)} params - a {@link Filter}, or an object that maps a tag to a value that you want to find matches on that tag for {tag<string> => value<string>}. For a list of acceptable tag/keys @see {@link getTagTypes}. For a list of acceptable values for a given tag @see {@link getTagOptions}.
+     * @param {searchResultsCallback} [onDone] - function called when the search results have come back, is passed the results as it's only parameter
+     * @returns {Promise} resolves with the same thing onDone is passed, rejects with an {@link MPDError} if it failed
      */
     self.tagSearch = function doTagSearch(tag_type, params, onDone){
-       var query = 'list '+tag_type;
-       for(key in params){
-           var value = params[key];
-           query += ' '+key+' "'+value+'"';
-       }
-       issueCommands({
-           command:query,
+       return issueCommands({
+           command:MPD.buildCommand('list', tag_type, paramsToArgs(params)),
            handler:getTagSearchHandler(onDone, tag_type)
        });
    };
 
+    /**
+     * get all of the values of a tag on songs that match the search critaria, grouped by the values of other tags.
+     * results are nested objects, one level per group (in the order you gave them) keyed by that tag's value, with arrays of the values of tag_type at the bottom.
+     * without any groups it's just the array, like {@link MPD#tagSearch}. values are always strings, songs that don't have a group's tag are under ''
+     *
+     * @example
+     * client.listTags('album', {genre:'rock'}, {group:['albumartist', 'date']}, function(albums){
+     *     //albums == {'Bearsuit':{'2007':['Cat Spectacular'], '2009':['Team Pingpong']}, 'Gorillaz':{...}}
+     * });
+     * @instance
+     * @param {String} tag_type - the tag you want the values of
+     * @param {(Object|Filter)} [params] - a {@link Filter}, or an object that maps a tag to a value that you want to find matches on that tag for {tag<string> => value<string>}. leave it out (or null) for the whole library
+     * @param {Object} [options]
+     * @param {String[]} [options.group] - tags to group the values by, outermost first
+     * @param {Function} [onDone] - function called when the results have come back, is passed the results as it's only parameter
+     * @returns {Promise} resolves with the same thing onDone is passed, rejects with an {@link MPDError} if it failed
+     */
+    self.listTags = function(tag_type, params, options, onDone){
+        if(typeof options === 'function'){
+            onDone = options;
+            options = {};
+        }
+        options = options ? options : {};
+        var groups = options.group ? [].concat(options.group) : [];
+        var group_args = [];
+        //MPD nests groups from the last one given to the first, the handler sorts out the order either way
+        groups.slice().reverse().forEach(function(group){
+            group_args.push('group', group);
+        });
+        return issueCommands({
+            command:MPD.buildCommand('list', tag_type, paramsToArgs(params), group_args),
+            handler:getTagListHandler(onDone, tag_type, groups)
+        });
+    };
+
     /**
      * params is a {tag<string> => value<string>} object, valid tags are enumerated in getTagTypes, onDone is a function that should be called on complete, will be passed an array of song objects
+     * with a big library you probably want to sort the results and only get some of them at a time, see {@link MPD#paginateSearch}
+     *
+     * @example
+     * client.search({artist:'bearsuit'}, {sort:'-date', window:[0, 100]}, function(songs){
+     *     //the first 100 songs by Bearsuit, newest first
+     * });
      * @instance
-     * @param {Object[]} params - Array of objects that maps a tag to a value that you want to find matches on that tag for {tag<string> => value<string>}. For a list of acceptable tag/keys @see {@link getTagTypes}. For a list of acceptable values for a given tag @see {@link getTagOptions}.
-     * @param {searchResultsCallback} onDone - function called when the search results have come back, is passed the results as it's only parameter
-     */
-    self.search = function(params, onDone){
-         var query = 'search';
-         for(key in params){
-             var value = params[key];
-             query += ' '+key+' "'+value+'"';
-         }
-         issueCommands({
-             command:query,
-             handler:getSearchHandler(onDone)
-         });
-     };
+     * @param {(Object|Filter)} params - a {@link Filter}, or an object that maps a tag to a value that you want to find matches on that tag for {tag<string> => value<string>}. For a list of acceptable tag/keys @see {@link getTagTypes}. For a list of acceptable values for a given tag @see {@link getTagOptions}.
+     * @param {searchOptions} [options] - sorting and which of the results you want
+     * @param {searchResultsCallback} [onDone] - function called when the search results have come back, is passed the results as it's only parameter
+     * @returns {Promise} resolves with the same thing onDone is passed, rejects with an {@link MPDError} if it failed
+     */
+    self.search = function(params, options, onDone){
+        if(typeof options === 'function'){
+            onDone = options;
+            options = {};
+        }
+        return issueCommands({
+            command:MPD.buildCommand('search', paramsToArgs(params), searchOptionArgs(options)),
+            handler:getSearchHandler(onDone)
+        });
+    };
 
     /**
-     * like search except just for finding how many results you'll get (for faster live updates while criteria are edited)
+     * like find except just for finding how many results you'll get (for faster live updates while criteria are edited)
+     * note MPD only counts exact matches, so this is how many songs find would get, not search
      * params is a {tag<string> => value<string>} object, valid tags are enumerated in getTagTypes, onDone is a function that should be called on complete, will be passed the numver of results the search would produce
      * @instance
-     * @param {Object[]} params - Array of objects that maps a tag to a value that you want to find matches on that tag for {tag<string> => value<string>} For a list of acceptable tag/keys @see {@link getTagTypes}. For a list of acceptable values for a given tag @see {@link getTagOptions}.
-     * @param {searchCountCallback} onDone - function called when the search results have come back, is passed the results as it's only parameter
+     * @param {(Object|Filter)} params - a {@link Filter}, or an object that maps a tag to a value that you want to find matches on that tag for {tag<string> => value<string>}. For a list of acceptable tag/keys @see {@link getTagTypes}. For a list of acceptable values for a given tag @see {@link getTagOptions}.
+     * @param {searchCountCallback} [onDone] - function called when the search results have come back, is passed the results as it's only parameter
+     * @returns {Promise} resolves with the same thing onDone is passed, rejects with an {@link MPDError} if it failed
      */
     self.searchCount = function(params, onDone){
-        var query = 'count';
-        for(key in params){
-            var value = params[key];
-            query += ' '+key+' "'+value+'"';
-        }
-        issueCommands({
-            command:query,
-            handler:getSearchHandler(function(results){
-                onDone(results[0]);
-            })
+        return issueCommands({
+            command:MPD.buildCommand('count', paramsToArgs(params)),
+            handler:function(lines){
+                var counts = processListResponce(lines)[0];
+                var count = counts ? parseInt(counts.songs, 10) : 0;
+                if(onDone){
+                    onDone(count);
+                }
+                return count;
+            }
         });
     };
 
     /**
-     * set the password for this client
+     * like search except tags have to match exactly (case sensitive, no partial matches)
      * @instance
-     * @param {String}
-     */
-    self.authorize = function(password){
-        _password = password;
-        if(_private.state.connected){
-            //if we are not connected we will issue the password as part of our reconnection
-            issueCommands('password '+_password);
+     * @param {(Object|Filter)} params - a {@link Filter}, or an object that maps a tag to a value that you want to find matches on that tag for {tag<string> => value<string>}. For a list of acceptable tag/keys @see {@link getTagTypes}. For a list of acceptable values for a given tag @see {@link getTagOptions}.
+     * @param {searchOptions} [options] - sorting and which of the results you want
+     * @param {searchResultsCallback} [onDone] - function called when the search results have come back, is passed the results as it's only parameter
+     * @returns {Promise} resolves with the same thing onDone is passed, rejects with an {@link MPDError} if it failed
+     */
+    self.find = function(params, options, onDone){
+        if(typeof options === 'function'){
+            onDone = options;
+            options = {};
         }
-    }
+        return issueCommands({
+            command:MPD.buildCommand('find', paramsToArgs(params), searchOptionArgs(options)),
+            handler:getSearchHandler(onDone)
+        });
+    };
 
-   /****************\
-   |* private data *|
-   \****************/
+    /**
+     * page through the results of a search, one window of them at a time. for libraries too big to get all of the results in one go
+     *
+     * @example
+     * var pages = client.paginateSearch({genre:'rock'}, {sort:'Title', pageSize:50});
+     * pages.getPageCount().then(function(count){
+     *     //draw the page links
+     * });
+     * pages.getPage(0).then(function(songs){
+     *     //the first 50 songs
+     * });
+     * @instance
+     * @param {(Object|Filter)} params - a {@link Filter}, or an object that maps a tag to a value that you want to find matches on that tag for {tag<string> => value<string>}. For a list of acceptable tag/keys @see {@link getTagTypes}. For a list of acceptable values for a given tag @see {@link getTagOptions}.
+     * @param {Object} [options]
+     * @param {String} [options.sort] - same as {@link searchOptions}
+     * @param {Integer} [options.pageSize=100] - how many songs are on a page
+     * @param {Boolean} [options.exact=false] - find rather than search
+     * @returns {SearchPaginator}
+     */
+    self.paginateSearch = function(params, options){
+        return MPD.SearchPaginator(self, params, options);
+    };
 
-   var _private = {
-     /**
-      * THE web socket that is connected to the MPD server
-      * @private
-      */
-     socket:null,
+    /**
+     * adds everything find would find to the queue, MPD does it all in one go so this is much faster than adding the results one at a time
+     * @instance
+     * @param {(Object|Filter)} params - same as {@link MPD#find}
+     * @param {Object} [options]
+     * @param {(Integer|String)} [options.position] - where in the queue to put them, the end if not given. '+n'/'-n' is relative to the current song (MPD 0.23+)
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+     */
+    self.findAdd = function(params, options){
+        return issueCommands(MPD.buildCommand('findadd', paramsToArgs(params), positionArgs(options)));
+    };
 
-     /**
-      * running string of partial responces from MPD
-      */
-     raw_buffer:'',
+    /**
+     * adds everything search would find to the queue, MPD does it all in one go so this is much faster than adding the results one at a time
+     *
+     * @example
+     * client.searchAdd({artist:'bearsuit'}, {position:0});
+     * @instance
+     * @param {(Object|Filter)} params - same as {@link MPD#search}
+     * @param {Object} [options]
+     * @param {(Integer|String)} [options.position] - where in the queue to put them, the end if not given. '+n'/'-n' is relative to the current song (MPD 0.23+)
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+     */
+    self.searchAdd = function(params, options){
+        return issueCommands(MPD.buildCommand('searchadd', paramsToArgs(params), positionArgs(options)));
+    };
 
-     /**
-      * running list of lines we have gotten from the server
-      */
-     raw_lines:[],
+    /**
+     * adds everything search would find to a stored playlist, the playlist is made if it doesn't exist yet
+     * @instance
+     * @param {String} playlist_name - the name of the playlist
+     * @param {(Object|Filter)} params - same as {@link MPD#search}
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+     */
+    self.searchAddToPlaylist = function(playlist_name, params){
+        return issueCommands(MPD.buildCommand('searchaddpl', playlist_name, paramsToArgs(params)));
+    };
 
-     /**
-      * false if we are disconnected or have not completed out initial data load yet
-      */
-     inited: false,
+    /**
+     * the sticker database, for keeping your own bits of data about songs on the server (ratings, play counts, etc.) so every client sees them.
+     * sticker values are always strings
+     *
+     * @example
+     * client.stickers.set('music/song.mp3', 'rating', '5').then(function(){
+     *     return client.stickers.find('music', 'rating', {op:'>', value:'3'});
+     * }).then(function(found){
+     *     //found == [{file:'music/song.mp3', value:'5'}]
+     * });
+     * @instance
+     * @member {Object}
+     */
+    self.stickers = {
+        /**
+         * get the value of a song's sticker
+         * @memberof MPD#stickers
+         * @param {String} uri - path of the song
+         * @param {String} name - the sticker
+         * @returns {Promise} resolves with the value, or null if the song doesn't have that sticker. rejects with an {@link MPDError} if it failed
+         */
+        get: function(uri, name){
+            return issueCommands({
+                command:MPD.buildCommand('sticker', 'get', 'song', uri, name),
+                handler:function(lines){
+                    var stickers = stickerHandler(lines);
+                    return (typeof stickers[name] === 'undefined') ? null : stickers[name];
+                },
+                error:ignoreNoExist
+            }).catch(function(error){
+                if(error instanceof MPD.NoExistError){
+                    return null;
+                }
+                throw error;
+            });
+        },
+
+        /**
+         * give a song a sticker, replacing the value it had if it already had it
+         * @memberof MPD#stickers
+         * @param {String} uri - path of the song
+         * @param {String} name - the sticker
+         * @param {String} value
+         * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+         */
+        set: function(uri, name, value){
+            return issueCommands(MPD.buildCommand('sticker', 'set', 'song', uri, name, String(value)));
+        },
+
+        /**
+         * take a sticker off of a song, or all of them if no name is given
+         * @memberof MPD#stickers
+         * @param {String} uri - path of the song
+         * @param {String} [name] - the sticker
+         * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed (i.e. a {@link NoExistError} if the song doesn't have the sticker)
+         */
+        delete: function(uri, name){
+            return issueCommands(MPD.buildCommand('sticker', 'delete', 'song', uri, name));
+        },
+
+        /**
+         * get all of a song's stickers
+         * @memberof MPD#stickers
+         * @param {String} uri - path of the song
+         * @returns {Promise} resolves with {name => value}, rejects with an {@link MPDError} if it failed
+         */
+        list: function(uri){
+            return issueCommands({
+                command:MPD.buildCommand('sticker', 'list', 'song', uri),
+                handler:stickerHandler,
+                error:ignoreNoExist
+            }).catch(function(error){
+                if(error instanceof MPD.NoExistError){
+                    return {};
+                }
+                throw error;
+            });
+        },
+
+        /**
+         * find the songs in a directory (and all of it's subdirectories) that have a sticker
+         * @memberof MPD#stickers
+         * @param {String} dir - directory to look in, '' for all of them
+         * @param {String} name - the sticker
+         * @param {Object} [match] - only find songs where the sticker has a certain value
+         * @param {String} [match.op='='] - how to compare it, '=', '<' or '>' ('<' and '>' compare numbers)
+         * @param {String} match.value - what to compare it to
+         * @returns {Promise} resolves with [{file, value}], rejects with an {@link MPDError} if it failed
+         */
+        find: function(dir, name, match){
+            var args = ['find', 'song', dir, name];
+            if(match && typeof match.value !== 'undefined'){
+                args.push(match.op ? match.op : '=', String(match.value));
+            }
+            return issueCommands({
+                command:MPD.buildCommand('sticker', args),
+                handler:function(lines){
+                    var found = [];
+                    var file = null;
+                    lines.forEach(function(line){
+                        var key = line.replace(/([^:]+): (.*)/,'$1');
+                        var value = line.replace(/([^:]+): (.*)/,'$2');
+                        if(key === 'file'){
+                            file = value;
+                        }
+                        else if(key === 'sticker'){
+                            found.push({file:file, value:value.substr(value.indexOf('=')+1)});
+                        }
+                    });
+                    return found;
+                }
+            });
+        }
+    };
 
-     /**
-      * events that have been held until we are consistent
-      */
-     queued_events:[],
+    /**
+     * start listening to a channel, messages sent to it come in through the 'Message' event.
+     * we stay subscribed through reconnects
+     * @instance
+     * @param {String} channel - channel names are letters, numbers, '-', '_', '.' and ':'
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+     */
+    self.subscribe = function(channel){
+        _private.subscriptions[channel] = true;
+        return issueCommands({
+            command:MPD.buildCommand('subscribe', channel),
+            error:ignoreExist
+        }).catch(function(error){
+            if(error instanceof MPD.ExistError){
+                //we were already subscribed, which is what was wanted
+                return;
+            }
+            throw error;
+        });
+    };
 
-     /**
-      * object {string:[function]} -- listing of funcitons to call when certain events happen
-      *
-      * valid handlers:
-      * Connect
-      * Disconnect
-      * Queue
-      * State
-      * SongChange
-      * Mpdhost
-      * Error
-      * @private
-      */
-     handlers:{},
+    /**
+     * stop listening to a channel
+     * @instance
+     * @param {String} channel
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+     */
+    self.unsubscribe = function(channel){
+        delete _private.subscriptions[channel];
+        return issueCommands(MPD.buildCommand('unsubscribe', channel));
+    };
 
-     /**
-      * number -- int number of milisecond to wait until reconnecting after loosing connection
-      * set to something falsyto disable automatic reconnection
-      * @private
-      */
-     reconnect_time: 3000,
+    /**
+     * get the channels that anyone (not just us) is subscribed to
+     * @instance
+     * @returns {Promise} resolves with an array of channel names, rejects with an {@link MPDError} if it failed
+     */
+    self.getChannels = function(){
+        return issueCommands({
+            command:'channels',
+            handler:function(lines){
+                return lines.map(function(line){
+                    return line.replace(/^channel: /, '');
+                });
+            }
+        });
+    };
 
-     /**
-      * true if we want logging turned on
-      * @private
-      */
-     do_logging: false,
+    /**
+     * send a message to everyone subscribed to a channel
+     * @instance
+     * @param {String} channel
+     * @param {String} text
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed (a {@link NoExistError} if nobody is subscribed to the channel)
+     */
+    self.sendMessage = function(channel, text){
+        return issueCommands(MPD.buildCommand('sendmessage', channel, String(text)));
+    };
 
-     /**
-      * Our understanding of what the server looks like
-      * @typedef {Object} state
-      * @property {String} version - server protocol version
-      * @property {Boolean} connected - if we are currently connected to the server or not
-      * @property {String} playstate - enum, PLAYING, STOPPED, PAUSED
-      * actual MPD attribute: state (int 0,1,2)
-      * @property {Integer} volume - 0 to 1 the current volume
-      * @property {Boolean} repeat - true if the server is configured to repeat the current song
-      * @property {Boolean} single - true if the server is configured to just play one song then quit
-      * @property {Boolean} consume - true if the server is configured to not repeat songs in a playlist
-      * @property {Boolean} random - true if the server is configured to play music in a random order
-      * @property {Integer} crossfade - nonnegitive integer representing number of seconds to crossfade songs
-      * @property {Float} mix_ramp_threshold - not sure what this is, but it's reported
-      * actual MPD attribute: mixrampdb
-      * @property {Object} current_song - info about the currently playing song
-      * @property {Integer} current_song.queue_idx - which song in the current playlist is active
-      * actual MPD attribute: song
+    /**
+     * get the names of all of MPD's partitions. each partition has it's own queue, player and outputs, one per room for instance
+     * @instance
+     * @returns {Promise} resolves with an array of partition names, rejects with an {@link MPDError} if it failed
+     */
+    self.listPartitions = function(){
+        return issueCommands({
+            command:'listpartitions',
+            handler:function(lines){
+                return lines.map(function(line){
+                    return line.replace(/^partition: /, '');
+                });
+            }
+        });
+    };
+
+    /**
+     * make a new partition
+     * @instance
+     * @param {String} name
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+     */
+    self.newPartition = function(name){
+        return issueCommands(MPD.buildCommand('newpartition', name));
+    };
+
+    /**
+     * delete a partition, it has to be empty (no clients or outputs in it)
+     * @instance
+     * @param {String} name
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+     */
+    self.deletePartition = function(name){
+        return issueCommands(MPD.buildCommand('delpartition', name));
+    };
+
+    /**
+     * move this client to a different partition. the queue, state and outputs are all reloaded, because they are all the new partition's now.
+     * we stay in it through reconnects
+     * @instance
+     * @param {String} name
+     * @returns {Promise} resolves once we've switched and everything is reloaded, rejects with an {@link MPDError} if it failed
+     */
+    self.switchPartition = function(name){
+        return issueCommands({
+            command:MPD.buildCommand('partition', name),
+            handler:function(){
+                _private.partition = name;
+                //the queue version we have is the old partition's, it means nothing here
+                _private.state.queue_version = null;
+                return loadAsConfigured();
+            }
+        });
+    };
+
+    /**
+     * move an output to the partition this client is in
+     * @instance
+     * @param {String} name - the output's name
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+     */
+    self.moveOutput = function(name){
+        return issueCommands(MPD.buildCommand('moveoutput', name));
+    };
+
+    /**
+     * get the cover art for a song: the cover file in it's directory (albumart) or if there isn't one the picture embedded in the song (readpicture).
+     * the image comes in pieces, this keeps asking until it has all of it
+     *
+     * @example
+     * client.getAlbumArt('music/song.mp3').then(function(art){
+     *     if(art){
+     *         image.src = URL.createObjectURL(art.data);
+     *     }
+     * });
+     * @instance
+     * @param {String} uri - path of the song
+     * @returns {Promise} resolves with {data, type}, data being a Buffer under Node.js and a Blob in a browser and type the MIME type (i.e. 'image/jpeg'), or null if there is no cover art.
+     * rejects with an {@link MPDError} if it failed, or an Error if the transport can't deal with binary data
+     */
+    self.getAlbumArt = function(uri){
+        if(!_private.binary_safe){
+            return Promise.reject(new Error("the transport can't receive binary data"));
+        }
+
+        return readBinary('albumart', uri).catch(function(error){
+            if(error instanceof MPD.NoExistError){
+                //no cover file, maybe there is one in the song itself
+                return readBinary('readpicture', uri);
+            }
+            throw error;
+        }).then(function(picture){
+            if(picture === null){
+                return null;
+            }
+            var type = picture.type ? picture.type : guessImageType(picture.data);
+            var data = (typeof Buffer !== 'undefined') ? Buffer.from(picture.data.buffer, picture.data.byteOffset, picture.data.length) : new Blob([picture.data], {type:type});
+            return {data:data, type:type};
+        });
+    };
+
+    /**
+     * send any command to MPD, including ones MPD.js doesn't wrap. the command goes through the same queue as everything else
+     * and arguments are escaped with {@link MPD.buildCommand}, so it's safe to pass whatever the user typed
+     *
+     * @example
+     * client.sendCommand('listmounts').then(function(mounts){
+     *     //mounts == [{mount:'', storage:'/home/foo/music'}, {mount:'foo', storage:'nfs://192.168.1.4/export/mp3'}]
+     * });
+     * client.sendCommand('readcomments', ['song.flac'], {parse:'object'});
+     * @instance
+     * @param {String} name - the command, i.e. 'listmounts'
+     * @param {Array} [args] - the command's arguments
+     * @param {Object} [options]
+     * @param {String} [options.parse='list'] - how to parse the responce:
+     * 'list' an array of objects, a new one starts every time the separator key shows up,
+     * 'object' one object (keys that show up more than once get an array of values),
+     * 'raw' the lines MPD sent, untouched
+     * @param {(String|RegExp)} [options.separator] - for 'list', the key that starts a new object, defaults to whatever key comes first. keys are lower cased with non-word characters turned into '_' before they are matched
+     * @param {Integer} [options.timeout] - milliseconds to wait for MPD to answer once the command is sent, 0 to wait forever. defaults to the commandTimeout option
+     * @param {AbortSignal} [options.signal] - aborting this cancels the command, if it hasn't been sent yet
+     * @returns {Promise} resolves with the parsed responce, rejects with an {@link MPDError} if it failed, a {@link TimeoutError} if MPD didn't answer in time, an {@link AbortError} if it was cancelled
+     * or an {@link ArgumentError} (without a code, MPD never saw it) if the name, arguments or options are no good
+     */
+    self.sendCommand = function(name, args, options){
+        options = options ? options : {};
+        var parse = options.parse ? options.parse : 'list';
+        var separator = options.separator;
+        if(typeof separator === 'string'){
+            separator = new RegExp('^'+separator.toLowerCase().replace(/[^\w\d]+/g, '_')+'$');
+        }
+
+        var parsers = {
+            list: function(lines){
+                if(lines.length === 0){
+                    return [];
+                }
+                return processListResponce(lines, separator);
+            },
+            object: processObjectResponce,
+            raw: function(lines){
+                return lines;
+            }
+        };
+        var invalid = function(message){
+            return Promise.reject(new MPD.ArgumentError({
+                code: null,
+                line: null,
+                command: String(name),
+                message: message
+            }));
+        };
+
+        if(!parsers[parse]){
+            return invalid("'"+parse+"' is not a supported way to parse a responce");
+        }
+
+        var command;
+        try{
+            command = MPD.buildCommand(name, args);
+        }
+        catch(error){
+            return invalid(error.message);
+        }
+
+        return issueCommands({
+            command:command,
+            handler:parsers[parse],
+            timeout:options.timeout,
+            signal:options.signal
+        });
+    };
+
+    /**
+     * set the password for this client
+     * @instance
+     * @param {String}
+     * @returns {Promise} resolves once MPD has done it, rejects with an {@link MPDError} if it failed
+     */
+    self.authorize = function(password){
+        _password = password;
+        if(_private.state.connected){
+            //if we are not connected we will issue the password as part of our reconnection
+            return issueCommands(MPD.buildCommand('password', _password));
+        }
+        return Promise.resolve();
+    }
+
+   /****************\
+   |* private data *|
+   \****************/
+
+   /**
+    * how far (in seconds) the play time can be from where we expected it to be before we call it a seek
+    * @private
+    */
+   var SEEK_TOLERANCE = 1.5;
+
+   /**
+    * commands where only the last one matters, so a newer one replaces any that haven't been sent yet.
+    * the number is how many of the arguments say what it applies to, seekid 3 10 and seekid 4 10 seek different songs
+    * @private
+    */
+   var COALESCED_COMMANDS = {
+       setvol: 0,
+       seekid: 1,
+       seekcur: 0,
+       crossfade: 0,
+       mixrampdb: 0
+   };
+
+   var _private = {
+     /**
+      * THE transport that is connected to the MPD server
+      * @private
+      */
+     socket:null,
+
+     /**
+      * function that makes a new transport every time we (re)connect
+      * @private
+      */
+     transport_factory: _options.transport,
+
+     /**
+      * running string of partial responces from MPD
+      */
+     raw_buffer:'',
+
+     /**
+      * running bytes of partial responces from MPD, for transports that can give us bytes
+      * @private
+      */
+     raw_bytes:new Uint8Array(0),
+
+     /**
+      * how many bytes of binary data (plus it's newline) we are waiting on, null if we are reading lines
+      * @private
+      */
+     binary_length:null,
+
+     /**
+      * running list of lines we have gotten from the server
+      */
+     raw_lines:[],
+
+     /**
+      * false if we are disconnected or have not completed out initial data load yet
+      */
+     inited: false,
+
+     /**
+      * events that have been held until we are consistent
+      */
+     queued_events:[],
+
+     /**
+      * object {string:[function]} -- listing of funcitons to call when certain events happen
+      *
+      * valid handlers:
+      * Connect
+      * Disconnect
+      * Queue
+      * State
+      * SongChange
+      * Mpdhost
+      * Error
+      * @private
+      */
+     handlers:{},
+
+     /**
+      * reconnectPolicy -- how long to wait until reconnecting after loosing connection, and when to give up
+      * null if automatic reconnection is disabled
+      * @private
+      */
+     reconnect: normalizeReconnectPolicy(_options.reconnect),
+
+     /**
+      * how many times in a row we've tried to reconnect without getting all the way to 'ready'
+      * @private
+      */
+     reconnect_attempts: 0,
+
+     /**
+      * heartbeatPolicy -- how often to check the connection is still alive when it's quiet
+      * null if the heartbeat is turned off
+      * @private
+      */
+     heartbeat: normalizeHeartbeatPolicy(_options.heartbeat),
+
+     /**
+      * timeout that will check on the connection next
+      * @private
+      */
+     heartbeat_timer:null,
+
+     /**
+      * when we sent the heartbeat ping we are still waiting on, null if we aren't waiting on one
+      * @private
+      */
+     heartbeat_sent:null,
+
+     /**
+      * how many heartbeat timeouts in a row have gone by without hearing anything
+      * @private
+      */
+     heartbeat_missed:0,
+
+     /**
+      * when we last got anything at all from MPD
+      * @private
+      */
+     last_data_time:0,
+
+     /**
+      * round trip time of the last heartbeat, in milliseconds
+      * @private
+      */
+     latency:null,
+
+     /**
+      * where we are in the life of a connection: 'connecting', 'authenticating', 'loading', 'ready', 'reconnecting' or 'closed'
+      * @private
+      */
+     connection_state: 'closed',
+
+     /**
+      * true if we want logging turned on
+      * @private
+      */
+     do_logging: _options.logger !== null,
+
+     /**
+      * where log messages go
+      * @private
+      */
+     logger: _options.logger || function(message){
+         console.log(message);
+     },
+
+     /**
+      * Our understanding of what the server looks like
+      * @typedef {Object} state
+      * @property {String} version - server protocol version
+      * @property {Boolean} connected - if we are currently connected to the server or not
+      * @property {String} playstate - enum, PLAYING, STOPPED, PAUSED
+      * actual MPD attribute: state (int 0,1,2)
+      * @property {Integer} volume - 0 to 1 the current volume
+      * @property {Boolean} repeat - true if the server is configured to repeat the current song
+      * @property {Boolean} single - true if the server is configured to just play one song then quit
+      * @property {Boolean} consume - true if the server is configured to not repeat songs in a playlist
+      * @property {Boolean} random - true if the server is configured to play music in a random order
+      * @property {Integer} crossfade - nonnegitive integer representing number of seconds to crossfade songs
+      * @property {Float} mix_ramp_threshold - not sure what this is, but it's reported
+      * actual MPD attribute: mixrampdb
+      * @property {Object} current_song - info about the currently playing song
+      * @property {Integer} current_song.queue_idx - which song in the current playlist is active
+      * actual MPD attribute: song
       * @property {Float} current_song.elapsed_time - time into the currently playing song in seconds
       * actual MPD attribute: elapsed
       * @property {Integer} current_song.id - the id of the current song
@@ -894,6 +1728,17 @@ function MPD(_port, _host, _password){
       * actual attribute: song
       * @property {Integer} next_song.id - the id of the current song
       * actual attribute: songid
+      * @property {?Integer} bitrate - kbit/s of what is playing right now
+      * @property {?audioFormat} audio_format - format of what is playing right now
+      * actual MPD attribute: audio
+      * @property {?Float} duration - length of the current song in seconds
+      * actual MPD attribute: duration (or the second half of time on old servers)
+      * @property {?Integer} updating_job_id - id of the running database update
+      * actual MPD attribute: updating_db
+      * @property {?String} player_error - the player's last error
+      * actual MPD attribute: error
+      * @property {?String} partition - name of the partition we are in
+      * @property {?String} replay_gain_mode - 'off', 'track', 'album' or 'auto', from the replay_gain_status command
       * @property {Queue} current_queue - the songs that are currently in rotation for playing, in the order they are to play (unless random is set to true)
       * @property {Integer} queue_version - a number associated with the queue that changes every time the queue changes
       * @property {String[]} playlists - names of all of the saved playlists
@@ -919,11 +1764,48 @@ function MPD(_port, _host, _password){
              queue_idx: null,
               id: null
          },
+         bitrate: null,
+         audio_format: null,
+         duration: null,
+         updating_job_id: null,
+         player_error: null,
+         partition: null,
+         replay_gain_mode: null,
          current_queue: null,
          queue_version: null,
          playlists:[]
      },
 
+     /**
+      * true if the transport can give us bytes, so binary responces (album art) can be read
+      * @private
+      */
+     binary_safe:false,
+
+     /**
+      * the partition we switched to, so we can switch to it again if we reconnect. null if we never switched
+      * @private
+      */
+     partition:null,
+
+     /**
+      * {channel => true} the channels we are subscribed to, so we can subscribe again if we reconnect
+      * @private
+      */
+     subscriptions:{},
+
+     /**
+      * keys the last status gave us, so we can get rid of the ones the next one doesn't have
+      * @private
+      */
+     status_keys:[],
+
+     /**
+      * raw metadata of the songs on the queue, in queue order, so we can move them around without asking MPD for it again
+      * @private
+      */
+     queue_sources:[],
+
      /**
       * list of tags that are acceptable for this server
       */
@@ -957,1037 +1839,3622 @@ function MPD(_port, _host, _password){
      command_queue:[],
 
      /**
-      *last error we had
+      * {changes, settled, time} changes we've made to the state ahead of MPD, in the order they were made
+      * @private
       */
-     last_error: null
-   };
+     optimistic_changes:[],
 
+     /**
+      * timeout that will send what's in the command_queue
+      * @private
+      */
+     command_timer:null,
 
-    /*******************\
-    |* private methods *|
-    \*******************/
+     /**
+      * how long (in milliseconds) to wait for MPD to answer a command before giving up on the connection, 0 to wait forever
+      * @private
+      */
+     command_timeout: _options.commandTimeout,
 
-    /*************************\
-    |* connection management *|
-    \*************************/
+     /**
+      * {command name => milliseconds} send these commands no more often than this
+      * @private
+      */
+     throttle: normalizeThrottle(_options.throttle),
 
-    /**
-     * wrapper for sending a message to the server, allows logging
-     * @private
-     */
-    function sendString(str){
-        log('sending: "'+str+'"');
-        _private.socket.send_string(str);
-    }
+     /**
+      * {command key => {command, timer}} throttled commands waiting for their turn
+      * @private
+      */
+     throttled: {},
 
+     /**
+      * {command key => time} when each throttled command was last let through
+      * @private
+      */
+     throttle_times: {},
 
-    /**
-     * initalization funciton
-     * called near the end of this file and when we need to (try to) (re)connect
+     /**
+      * timeout that will try to reconnect
+      * @private
+      */
+     reconnect_timer:null,
+
+     /**
+      * true if we were told to disconnect, so we shouldn't reconnect
+      * @private
+      */
+     closing:false,
+
+     /**
+      * true once destroy has been called
+      * @private
+      */
+     destroyed:false,
+
+     /**
+      *last error we had
+      */
+     last_error: null
+   };
+
+
+    /*******************\
+    |* private methods *|
+    \*******************/
+
+    /*************************\
+    |* connection management *|
+    \*************************/
+
+    /**
+     * wrapper for sending a message to the server, allows logging
+     * @private
+     */
+    function sendString(str){
+        log('sending: "'+str+'"');
+        _private.socket.send(str);
+    }
+
+
+    /**
+     * initalization funciton
+     * called near the end of this file and when we need to (try to) (re)connect
      * @private
      */
     function init(){
-      var websocket_url = getAppropriateWsUrl();
-      var websocket = new Websock();
-      websocket.open(websocket_url);
+      var transport = _private.transport_factory();
+
+      setConnectionState('connecting');
 
       //these can throw
-      websocket.on('open',onConnect);
+      //the transport might still tell us things after we've given up on it (disconnect() then connect()), ignore those
+      transport.on('open', function(){
+          if(_private.socket === transport){
+              onConnect.apply(this,arguments);
+          }
+      });
+
+      transport.on('message', function(){
+          if(_private.socket === transport){
+              _private.last_data_time = Date.now();
+              _private.responceProcessor.apply(this,arguments);
+          }
+      });
 
-      websocket.on('message', function(){
-          _private.responceProcessor.apply(this,arguments);
+      transport.on('close', function(error){
+          if(_private.socket === transport){
+              if(error){
+                  log('connection error: '+error.message);
+              }
+              onDisconnect.apply(this,arguments);
+          }
       });
 
-      websocket.on('close',onDisconnect);
+      _private.socket = transport;
+      _private.binary_safe = (typeof transport.receiveBytes === 'function');
 
-      _private.socket = websocket;
+      transport.open(getAppropriateHost(), _port);
     }
 
 
     /**
-     * function called when the websocke connects
+     * function called when the transport connects
      * @private
      */
     function onConnect(){
         log("connected");
         _private.state.connected = true;
         _private.raw_buffer = '';
+        _private.raw_bytes = new Uint8Array(0);
+        _private.binary_length = null;
         _private.raw_lines = [];
         _private.responceProcessor = handleConnectionMessage;
-        callHandler('Connect', arguments);
+        _private.last_data_time = Date.now();
+        if(_private.heartbeat){
+            scheduleHeartbeat(_private.heartbeat.interval);
+        }
+        callHandler('Connect', arguments, true);
     }
 
 
     /**
-     * called when we disconnected (unexpectedly)
+     * called when we disconnected (unexpectedly, or because we were asked to)
      * @private
      */
     function onDisconnect(){
         log("disconnected");
 
-        callHandler('Disconnect', arguments);
+        callHandler('Disconnect', arguments, true);
 
         _private.state.connected = false;
         _private.socket = null;
         _private.state.version = null;
+
+        clearTimeout(_private.heartbeat_timer);
+        _private.heartbeat_timer = null;
+        _private.heartbeat_sent = null;
+        _private.heartbeat_missed = 0;
+        _private.latency = null;
+        _private.optimistic_changes = [];
+
+        //whatever we were waiting for isn't coming
+        var outstanding = _private.commandHandlers;
         _private.commandHandlers = [];
+        outstanding.forEach(function(command){
+            if(!(command instanceof Function)){
+                command.reject(new MPD.ConnectionError('the connection to MPD was lost', command.command));
+            }
+        });
+
         setInited(false);
 
         _private.responceProcessor = null; //will throw an error if we get any responces before we reconnect
 
-        if(_private.reconnect_time){
-            setTimeout(init, _private.reconnect_time);
+        if(_private.closing || !_private.reconnect){
+            setConnectionState('closed');
+            rejectQueuedCommands("the connection to MPD was lost and the client isn't going to reconnect");
+        }
+        else if(_private.reconnect.max_attempts !== null && _private.reconnect_attempts >= _private.reconnect.max_attempts){
+            log('giving up on reconnecting after '+_private.reconnect_attempts+' attempts');
+            setConnectionState('closed');
+            rejectQueuedCommands('the client gave up on reconnecting to MPD');
+            if(_private.reconnect.onGiveUp){
+                _private.reconnect.onGiveUp(_private.reconnect_attempts, self);
+            }
+        }
+        else{
+            var delay = getReconnectDelay(_private.reconnect_attempts);
+            _private.reconnect_attempts++;
+            log('reconnecting in '+delay+'ms');
+            setConnectionState('reconnecting');
+            _private.reconnect_timer = setTimeout(function(){
+                _private.reconnect_timer = null;
+                init();
+            }, delay);
         }
     }
 
 
     /**
-     * change the state and deal with what happens when that state changes
+     * how long to wait before the given (0 based) reconnection attempt
+     * @private
      */
-    function setInited(inited){
-        _private.inited = inited;
-        if(inited){
-            var events = _private.queued_events;
-            _private.queued_events = [];
-            events.forEach(function(event){
-                for(var key in event){
-                    callHandler(key, event[key]);
-                }
-            });
-        }
+    function getReconnectDelay(attempt){
+        var policy = _private.reconnect;
+        var delay = Math.min(policy.delay * Math.pow(policy.factor, attempt), policy.max_delay);
+        //take up to jitter of it off, so a room full of clients don't all come back at once
+        return Math.round(delay - delay*policy.jitter*Math.random());
     }
 
 
-    /************\
-    |* commands *|
-    \************/
-
-
     /**
-     * issue one or more commands to the server
-     * pass one command or an array of commands
-     * a command can be in the form of a string, or a object
-     * if a string is used as a command it will be assumed to have a 'do nothing' responce handler
-     * if an object is passed it must be in the form of {command:<String>, handler:function(String[]), error:function(Error)}
-     * this assumes we are starting in and wish to return to an idle state
+     * check the constructor options and fill in the blanks, throws if something doesn't make sense
      * @private
      */
-    function issueCommands(commands, is_idling){
-        if( Object.prototype.toString.call( commands ) !== '[object Array]' ) {
-            //some joker didn't give us a set of commands... wrap it up
-            commands = [commands];
+    function normalizeOptions(options){
+        var defaults = {
+            host: undefined,
+            port: undefined,
+            password: undefined,
+            path: undefined,
+            transport: undefined,
+            reconnect: undefined,
+            heartbeat: undefined,
+            commandTimeout: 30000,
+            throttle: {},
+            optimistic: false,
+            logger: null,
+            autoLoad: true
+        };
+        var ret = {};
+        for(var key in options){
+            if(!(key in defaults)){
+                throw new Error("'"+key+"' is not a supported option");
+            }
+        }
+        for(key in defaults){
+            //null means the same thing as leaving it out, except for the policies where it means turn it off
+            var leave_out = (typeof options[key] === 'undefined') || (options[key] === null && key !== 'reconnect' && key !== 'heartbeat');
+            ret[key] = leave_out ? defaults[key] : options[key];
         }
 
-        if(_private.command_queue.length === 0){
-            _private.command_queue = commands;
-            //done in a timeout so we can combine commands effecently
-            setTimeout(function(){
-                processComandQueue(is_idling === false);
-            }, 50);
+        if(typeof ret.port !== 'undefined'){
+            if(!/^\d+$/.test(String(ret.port)) || Number(ret.port) < 1 || Number(ret.port) > 65535){
+                throw new Error("port must be a whole number from 1 to 65535, not '"+ret.port+"'");
+            }
+            ret.port = Number(ret.port);
         }
-        else{
-            //append additional commands, they'll get processed when the above command is done
-            _private.command_queue.push.apply(_private.command_queue, commands);
+        ['host', 'password', 'path'].forEach(function(key){
+            if(typeof ret[key] !== 'undefined' && typeof ret[key] !== 'string'){
+                throw new Error(key+' must be a string');
+            }
+        });
+        if(typeof ret.path !== 'undefined'){
+            if(ret.path.charAt(0) !== '/'){
+                throw new Error("path must be the absolute path of MPD's Unix socket, not '"+ret.path+"'");
+            }
+            if(typeof ret.host !== 'undefined' || typeof ret.port !== 'undefined'){
+                throw new Error('give either a path (to a Unix socket) or a host and port, not both');
+            }
         }
-    }
 
+        if(typeof ret.transport === 'undefined'){
+            ret.transport = MPD.getDefaultTransport();
+        }
+        else if(typeof ret.transport !== 'function'){
+            throw new Error('transport must be a function that makes a transport');
+        }
+        if(typeof ret.path !== 'undefined' && (ret.transport === MPD.WebsockTransport || ret.transport === MPD.WebSocketTransport)){
+            throw new Error('a websocket can not connect to a Unix socket path, use a host and port instead');
+        }
 
-    /**
-     * get the next command off the queue and process it
-     */
-    function processComandQueue(is_not_idling){
-        var command_string = '';
-
-        if(_private.commandHandlers.length > 0 && _private.commandHandlers[0].command !== 'idle'){
-            //there are outstatnding commands being processed still, wait until the last batch finishes
-            //we don't have to timeout call ourself because we will be called when the outstanding commands are done
-            //if we are waiting on the idle handler then this doesn't count
-            return;
+        if(typeof ret.reconnect !== 'undefined' && typeof ret.reconnect !== 'boolean' && typeof ret.reconnect !== 'object'){
+            throw new Error('reconnect must be a reconnect policy object or a boolean');
         }
 
-        _private.command_queue.forEach(function(command){
-            if(command instanceof Function){
-                //case when we are given function, an 'on complete command'
-                //if we are given a function, it will be called when all previous commands are complete
-                _private.commandHandlers.push(command);
+        if(ret.logger !== null){
+            var logger = ret.logger;
+            if(typeof logger === 'function'){
+                ret.logger = function(message){
+                    logger(message);
+                };
+            }
+            else if(typeof logger === 'object' && typeof logger.log === 'function'){
+                //console, or something that looks like it
+                ret.logger = function(message){
+                    logger.log(message);
+                };
             }
             else{
-                //normal case
+                throw new Error('logger must be a function or an object with a log method');
+            }
+        }
 
-                //if it's a string make it be an object
-                if(typeof command === 'string'){
-                    command = {command:command}; //malkovich
-                }
+        if(typeof ret.autoLoad !== 'boolean'){
+            throw new Error('autoLoad must be a boolean');
+        }
 
-                //if it doesn't have a handler give it a 'do nothing' handler
-                if(typeof command.handler === 'undefined'){
-                    command.handler = function(){};
-                }
+        if(typeof ret.optimistic !== 'boolean'){
+            throw new Error('optimistic must be a boolean');
+        }
 
-                //if it doesn't have a error handler give it the default error handler
-                if(typeof command.error === 'undefined'){
-                    command.error = defaultErrorHandler;
-                }
+        if(ret.commandTimeout === false){
+            ret.commandTimeout = 0;
+        }
+        if(typeof ret.commandTimeout !== 'number' || !(ret.commandTimeout >= 0)){
+            throw new Error('commandTimeout must be a number of milliseconds, or 0 to wait forever');
+        }
 
-                //now everything is normalized
+        return ret;
+    }
 
-                //append the command
-                command_string += command.command+'\n';
 
-                //set the handler
-                _private.commandHandlers.push(command);
-            }
-        });
-        _private.command_queue = [];
+    /**
+     * check on the connection again in delay milliseconds
+     * @private
+     */
+    function scheduleHeartbeat(delay){
+        clearTimeout(_private.heartbeat_timer);
+        _private.heartbeat_timer = setTimeout(heartbeat, delay);
+    }
 
-        //issue the command
-        if('' === command_string){
-            //if we were given nothing but post comand functions don't issue a null command
-            //but do call all of those post comand functions
-            _private.commandHandlers.forEach(function(func){
-                //this whole branch is weird, so lets just check to make sure these are all post comand functions
-                if(!func instanceof Function){
-                    throw new Error('non-"post comand" function in commandHandlers when there was no command!');
-                }
-                func();
-            });
+
+    /**
+     * if it's been quiet for too long, ping MPD. if we still don't hear anything back for too long, give up on the connection
+     * @private
+     */
+    function heartbeat(){
+        _private.heartbeat_timer = null;
+        var policy = _private.heartbeat;
+        if(!_private.state.connected || !policy){
+            return;
         }
-        else{
-            var idle_command = {
-                command:'idle',
-                handler:idleHandler,
-                error:defaultErrorHandler
-            };
-            _private.commandHandlers.push(idle_command);
 
-            command_string = 'command_list_ok_begin\n'+command_string+'idle\ncommand_list_end\n';
-            if(!is_not_idling){
-                command_string = 'noidle\n'+command_string;
+        var now = Date.now();
+        var quiet = now - _private.last_data_time;
+
+        if(_private.heartbeat_sent === null){
+            if(quiet < policy.interval){
+                scheduleHeartbeat(policy.interval - quiet);
+                return;
             }
 
-            sendString(command_string);
+            //this breaks us out of idle, and comes right back to it
+            var sent = _private.heartbeat_sent = now;
+            var ping = {
+                command:'ping',
+                handler:function(){
+                    if(_private.heartbeat_sent === sent){
+                        //timed from when it was actually written, it might have had to wait for other commands
+                        _private.latency = Date.now() - ping.sent_time;
+                        _private.heartbeat_sent = null;
+                        _private.heartbeat_missed = 0;
+                        scheduleHeartbeat(policy.interval);
+                    }
+                },
+                error:function(){
+                    //MPD answered, so it's alive
+                    _private.heartbeat_sent = null;
+                    _private.heartbeat_missed = 0;
+                }
+            };
+            issueCommands(ping);
+            //don't wait around to batch it with anything, that would be counted as latency
+            processComandQueue();
+            scheduleHeartbeat(policy.timeout);
+            return;
         }
-    }
 
-    /**
-     * what to do by default if a command fails
-     */
-    function defaultErrorHandler(error){
-        var error_codes = MPD.getErrorCodes();
-        //if it's an error we know something about, maybe we can deal with it, otherwise just call registered handlers
-        switch(error.code){
-            case error_codes.ACK_ERROR_PASSWORD:
-            case error_codes.ACK_ERROR_PERMISSION:
-                // we\the user tried to do something they are not allowed to do
-                callHandler('AuthFailure', error, true);
-            break;
-            default:
-                debugger;
-                alert('***ERROR*** '+error.message);
-                callHandler('Error', error, true);
-            break;
+        if(quiet < policy.timeout){
+            //we are hearing from MPD, the ping is just stuck behind something else
+            _private.heartbeat_missed = 0;
+            scheduleHeartbeat(policy.timeout);
+            return;
         }
-    }
 
+        _private.heartbeat_missed++;
+        log('no responce to heartbeat in '+quiet+'ms');
+        if(_private.heartbeat_missed < policy.max_missed){
+            scheduleHeartbeat(policy.timeout);
+            return;
+        }
 
-    /*************************************\
-    |* process responces from the server *|
-    \*************************************/
+        //the connection is dead, even if the transport hasn't figured it out yet
+        log('giving up on the connection after '+_private.heartbeat_missed+' missed heartbeats');
+        var transport = _private.socket;
+        onDisconnect();
+        transport.close();
+    }
 
 
     /**
-     * return all of the lines upto one that matches the passed line
-     * MUTATES lines
+     * check the throttle option makes sense
      * @private
      */
-    function getLines(lines, last_line){
-        var end_line = -1;
-        for(var i = 0; i<lines.length; i++){
-            var line = lines[i];
-            if(line.match(last_line)){
-                end_line = i;
-                break;
+    function normalizeThrottle(throttle){
+        if(typeof throttle !== 'object'){
+            throw new Error('throttle must be an object of {command name: milliseconds}');
+        }
+        for(var key in throttle){
+            if(!COALESCED_COMMANDS.hasOwnProperty(key)){
+                throw new Error("'"+key+"' can't be throttled, only "+Object.keys(COALESCED_COMMANDS).join(', ')+' can');
             }
-            if(line.indexOf('ACK') === 0){
-                throw new Error('unexpected error');
+            if(typeof throttle[key] !== 'number' || !(throttle[key] >= 0)){
+                throw new Error("throttle for '"+key+"' must be a number of milliseconds");
             }
         }
-
-        if(end_line === -1){
-            return null;
-        }
-        return lines.splice(0, end_line+1);
+        return throttle;
     }
 
 
     /**
-     * return error object if there is one, null otherwise
-     * MUTATES lines
+     * fill in the blanks of a heartbeat policy, false (or null) turns it off
+     * throws if any of it is nonsense
      * @private
      */
-    function getError(lines){
-        var line = lines[0];
-        var error = null;
-        if(line.indexOf('ACK') === 0){
-            log('***ERROR*** '+line);
-            //parse the error into an object
-            error = line.match(/ACK \[(\d+)@(\d+)\] \{([^}]+)} (.*)/);
-            error = {
-                code: parseInt(error[1], 10),
-                line: parseInt(error[2], 10),
-                command: error[3],
-                message: error[4]
-            };
-            lines.splice(0,1);
+    function normalizeHeartbeatPolicy(policy){
+        if(policy === false || policy === null){
+            return null;
         }
-        return error;
+        if(typeof policy !== 'undefined' && typeof policy !== 'boolean' && typeof policy !== 'object'){
+            throw new Error('heartbeat must be a heartbeat policy object or a boolean');
+        }
+        policy = (policy && policy !== true) ? policy : {};
+        var defaults = {
+            interval: 30000,
+            timeout: 10000,
+            max_missed: 2
+        };
+        var ret = {};
+        for(var key in defaults){
+            ret[key] = (typeof policy[key] === 'undefined') ? defaults[key] : policy[key];
+            if(typeof ret[key] !== 'number' || !(ret[key] > 0)){
+                throw new Error('heartbeat '+key+' must be a number greater than 0');
+            }
+        }
+        return ret;
     }
 
 
     /**
-     * generic responce handler
-     * deals with a responce that is a list of some sort of datastructure repeated over and over
+     * fill in the blanks of a reconnect policy, false (or null) means don't reconnect
+     * throws if any of it is nonsense
      * @private
      */
-    function processListResponce(lines, new_file_marker){
-        var output = [];
-        var current_thing = null;
-        var file_marker = null
-        //so, we get an undiferentiated stream of key/value pairs
-        lines.forEach(function(line){
-            if(!current_thing){
-                current_thing = {};
-            }
-            var key = line.replace(/([^:]+): (.*)/,'$1');
-            var value = line.replace(/([^:]+): (.*)/,'$2');
-            var date = null;
-            if(value.length>0){
-                if(value.match(/^\d*(\.\d*)?$/)){
-                    value = parseFloat(value);
-                }
-                else if(date = parseDate(value)){
-                    value = date;
-                }
-            }
-            key = key.toLowerCase();
-            key = key.replace(/[^\w\d]+/g, '_');
-
-            //we are starting a new object
-            if(file_marker && key.match(file_marker)){
-                output.push(current_thing);
-                current_thing = {};
-            }
-            current_thing[key] = value;
+    function normalizeReconnectPolicy(policy){
+        if(policy === false || policy === null){
+            return null;
+        }
+        policy = (policy && policy !== true) ? policy : {};
+        var defaults = {
+            delay: 3000,
+            max_delay: 60000,
+            factor: 1,
+            jitter: 0,
+            max_attempts: null,
+            onGiveUp: null
+        };
+        var ret = {};
+        for(var key in defaults){
+            ret[key] = (typeof policy[key] === 'undefined') ? defaults[key] : policy[key];
+        }
 
-            //we want to skip the first, starting key so this is down here
-            if(file_marker === null){
-                if(new_file_marker){
-                    file_marker = new_file_marker;
-                }
-                else{
-                    file_marker = new RegExp('^'+key+'$');
-                }
+        ['delay', 'max_delay'].forEach(function(key){
+            if(typeof ret[key] !== 'number' || !(ret[key] >= 0)){
+                throw new Error('reconnect '+key+' must be a number of milliseconds');
             }
-
         });
-
-        //get the last one
-        if(current_thing){
-            output.push(current_thing);
+        if(typeof ret.factor !== 'number' || !(ret.factor >= 1)){
+            throw new Error('reconnect factor must be a number no less than 1');
         }
-
-        return output;
+        if(typeof ret.jitter !== 'number' || !(ret.jitter >= 0 && ret.jitter <= 1)){
+            throw new Error('reconnect jitter must be a number from 0 to 1');
+        }
+        if(ret.max_attempts !== null && !(typeof ret.max_attempts === 'number' && ret.max_attempts >= 0)){
+            throw new Error('reconnect max_attempts must be a number or null');
+        }
+        if(ret.onGiveUp !== null && typeof ret.onGiveUp !== 'function'){
+            throw new Error('reconnect onGiveUp must be a function');
+        }
+        return ret;
     }
 
 
     /**
-     *fetch outstanding lines from MPD
+     * move to a new connection state and tell everyone about it
+     * @private
      */
-    function getRawLines(){
-        _private.raw_buffer += _private.socket.rQshiftStr();//get the raw string
+    function setConnectionState(connection_state){
+        var previous = _private.connection_state;
+        if(previous === connection_state){
+            return;
+        }
+        _private.connection_state = connection_state;
+        if(connection_state === 'ready'){
+            _private.reconnect_attempts = 0;
+        }
+        callHandler('ConnectionStateChanged', {previous:previous, current:connection_state}, true);
+    }
+
+
+    /**
+     * close the connection, and don't reconnect
+     * commands that haven't been sent yet are thrown away
+     * @private
+     */
+    function disconnect(){
+        _private.closing = true;
 
-        var lines = _private.raw_buffer.split('\n');//split that into lines
+        clearTimeout(_private.reconnect_timer);
+        _private.reconnect_timer = null;
 
-        _private.raw_buffer = lines.pop(); //last line is incomplete
+        rejectQueuedCommands('the client was disconnected');
 
-        _private.raw_lines.push.apply(_private.raw_lines,lines); //append these new lines to the running collection we have
+        var transport = _private.socket;
+        if(!transport){
+            //we were between connections
+            setConnectionState('closed');
+            return;
+        }
 
-        if(_private.do_logging){
-            lines.forEach(function(str){log('recived: "'+str+'"');}); //log what we got
+        if(_private.state.connected){
+            //politely tell MPD we are leaving, if we are idling it needs to hear noidle first
+            var idling = _private.commandHandlers.length > 0 && _private.commandHandlers[0].command === 'idle';
+            sendString((idling ? 'noidle\n' : '')+'close\n');
         }
 
-        return _private.raw_lines;
+        //clean up now, not when the transport gets around to telling us it closed
+        onDisconnect();
+        transport.close();
     }
 
 
     /**
-     * called when we have some data,
-     * might be a message,
-     * might be a fragment of a message,
-     * might be multiple messages
+     * fail all of the commands that haven't been sent yet (including throttled ones) with a ConnectionError
      * @private
      */
-    function onRawData(){
-        var lines = getRawLines();
-        //keep processing untill we can't process any more
-        var command_processor = null;
-        var old_lines;//this is infinite loop prevention, should never actually happen
-        while(lines.length > 0 && old_lines != lines.length){
-            old_lines = lines.length;
-
-            var error = getError(lines);
-            if(error){
-                //this command hit an error
-                command_processor = _private.commandHandlers.shift(); //get the next outstanding command processor
-                command_processor.error(error);
-            }
-            else{
-                var command_lines = getLines(lines, /^OK$|^list_OK$/);//get everything until the 'OK' line
-                if(command_lines === null){
-                    //we have hit the end of the useable lines
-                    break;
-                }
-                command_lines.pop(); //get rid of the 'OK'
-
-                command_processor = _private.commandHandlers.shift(); //get the next outstanding command processor
-
-                command_processor.handler(command_lines); //execure the processor on the results of the command
+    function rejectQueuedCommands(message){
+        var queue = _private.command_queue;
+        _private.command_queue = [];
+        for(var key in _private.throttled){
+            clearTimeout(_private.throttled[key].timer);
+            queue.push(_private.throttled[key].command);
+        }
+        _private.throttled = {};
+        queue.forEach(function(command){
+            if(!(command instanceof Function)){
+                command.reject(new MPD.ConnectionError(message, command.command));
             }
+        });
+    }
 
-            //call everything we are supposed to just call
-            while(_private.commandHandlers.length > 0 && _private.commandHandlers[0] instanceof Function){
-                _private.commandHandlers.shift()();
-            }
-        }
 
-        //if there are no commandHandlers left, we have definitely exauhsted our outstanding commands
-        //if there is something in the command_queue, we have another batch of commands to issue
-        //so process them
-        if(_private.commandHandlers.length === 0 && _private.command_queue > 0){
-            processComandQueue();
+    /**
+     * change the state and deal with what happens when that state changes
+     */
+    function setInited(inited){
+        _private.inited = inited;
+        if(inited){
+            var events = _private.queued_events;
+            _private.queued_events = [];
+            events.forEach(function(event){
+                for(var key in event){
+                    callHandler(key, event[key]);
+                }
+            });
         }
     }
 
 
+    /************\
+    |* commands *|
+    \************/
+
+
     /**
-     * we are expecting a connection responce
-     * this handles raw data because when we first connect the protocol is comepletely different than at any other point
+     * issue one or more commands to the server
+     * pass one command or an array of commands
+     * a command can be in the form of a string, or a object
+     * if a string is used as a command it will be assumed to have a 'do nothing' responce handler
+     * if an object is passed it must be in the form of {command:<String>, handler:function(String[]), error:function(Error)},
+     * optionally with a timeout (milliseconds, defaults to the commandTimeout option) and an AbortSignal to cancel it with
+     * whatever the handler returns is what the command's promise resolves with
+     * this wishes to return to an idle state when it's done
+     * returns a promise that resolves with the result of the last command once all of them are done,
+     * or rejects with the error of the first one that failed (MPD doesn't run the ones after it)
      * @private
      */
-    function handleConnectionMessage(){
-        var lines = getRawLines();
+    function issueCommands(commands){
+        if( Object.prototype.toString.call( commands ) !== '[object Array]' ) {
+            //some joker didn't give us a set of commands... wrap it up
+            commands = [commands];
+        }
 
-        if(lines.length < 1){
-            return;
+        if(_private.destroyed || _private.connection_state === 'closed'){
+            //nothing is ever going to send these
+            var message = _private.destroyed ? 'this client has been destroyed' : 'the client is not connected to MPD, call connect first';
+            var failed = [];
+            commands.forEach(function(command){
+                if(!(command instanceof Function)){
+                    command = normalizeCommand(command);
+                    command.reject(new MPD.ConnectionError(message, command.command));
+                    failed.push(command.promise);
+                }
+            });
+            var rejected = Promise.all(failed);
+            rejected.catch(function(){});
+            return rejected;
         }
 
-        var line = lines.shift(1);
+        //remember which commands were issued together, if one fails the rest of them are skipped but other commands sent along with them aren't
+        var batch = {};
+        commands = commands.map(function(command){
+            if(command instanceof Function){
+                var post_function = function(){
+                    command();
+                };
+                post_function.batch = batch;
+                return post_function;
+            }
+            command = normalizeCommand(command);
+            command.batch = batch;
+            return command;
+        });
 
-        _private.state.version = line.replace(/^OK MPD /, '');
+        var promises = [];
+        commands.forEach(function(command){
+            if(!(command instanceof Function)){
+                promises.push(command.promise);
+                coalesceCommand(command);
+            }
+        });
 
-        _private.responceProcessor = onRawData;
+        //throttled commands wait their turn on their own
+        commands = commands.filter(function(command){
+            return !throttleCommand(command);
+        });
 
-        if(typeof _password !== 'undefined'){
-            issueCommands({
-                command:'password '+_password,
-                error:cancelLoad
-            });
-        }
+        //append the commands, if something is already waiting to go they'll get processed along with it (or when it's done)
+        _private.command_queue.push.apply(_private.command_queue, commands);
 
-        //issue the commands that will (re)init this object
-        loadEverything();
+        commands.forEach(function(command){
+            if(command.signal && command.signal.aborted){
+                cancelCommand(command);
+            }
+        });
+
+        scheduleCommandQueue();
+
+        var ret = Promise.all(promises).then(function(results){
+            return results[results.length-1];
+        });
+        //errors already go to the error handlers, so nobody is obliged to listen to this
+        ret.catch(function(){});
+        return ret;
     }
 
-    /********************\
-    |* command handlers *|
-    \********************/
 
     /**
-     * handles the 'tagtypes' command
+     * process the command queue soon, done in a timeout so we can combine commands effecently
+     * @private
      */
-    function tagHandler(lines){
-        var tag_types = processListResponce(lines);
-        _private.tag_types = ['any'].concat(
-            tag_types.map(function(tagtype){
-                return tagtype.tagtype.toLowerCase();
-            })
-        );
+    function scheduleCommandQueue(){
+        if(!_private.command_timer){
+            _private.command_timer = setTimeout(function(){
+                _private.command_timer = null;
+                processComandQueue();
+            }, 50);
+        }
     }
 
+
     /**
-     * deal with the result of the 'outputs' command
+     * what a command applies to, commands with the same key do the same kind of thing to the same thing
+     * null if this isn't a command where only the last one matters
+     * @private
      */
-    function outputHandler(lines){
-        _private.outputs = processListResponce(lines);
-
-        callHandler('OutputChanged',self.getOutputs());
+    function getCoalesceKey(command){
+        var parts = command.command.split(' ');
+        var name = parts[0];
+        if(!COALESCED_COMMANDS.hasOwnProperty(name)){
+            return null;
+        }
+        //relative seeks add up, they can't replace each other
+        if(/^"?[+-]/.test(parts[parts.length-1])){
+            return null;
+        }
+        return parts.slice(0, COALESCED_COMMANDS[name]+1).join(' ');
     }
 
+
     /**
-     * handle the responce from the 'status' command
+     * throw away any unsent commands the given one makes pointless, their promises follow the given command's
      * @private
      */
-    function stateHandler(lines){
-
-        //update this so playtime is calculated accurately
-        _private.last_status_update_time = new Date();
-
-        log('state');
+    function coalesceCommand(command){
+        var key = getCoalesceKey(command);
+        if(key === null){
+            return;
+        }
 
-        //convert the lines into an object
-        var state = {};
-        lines.forEach(function(line){
-            var key = line.replace(/([^:]+): (.*)/,'$1');
-            var value = line.replace(/([^:]+): (.*)/,'$2');
-            if(value.match(/^\d*(\.\d*)?$/)){
-                value = parseFloat(value);
+        _private.command_queue = _private.command_queue.filter(function(pending){
+            if(pending instanceof Function || getCoalesceKey(pending) !== key){
+                return true;
             }
-            state[key] = value;
+            replaceCommand(pending, command);
+            return false;
         });
+    }
 
-        //normalize some of the state properties because I don't like them the way they are
-        //because of course I know better than the MPD maintainers what things should be called and the ranges things should be in
-        state.current_song = {
-            queue_idx: state.song,
-            elapsed_time: state.elapsed,
-            id: state.songid
-        };
-        delete state.song;
-        delete state.elapsed;
-        delete state.songid;
 
-        state.mix_ramp_threshold = state.mixrampdb;
-        state.playstate = state.state;
-        state.queue_version = state.playlist;
-        state.crossfade = (typeof state.xfade === 'undefined')?0:state.xfade;
-        delete state.mixrampdb;
-        delete state.state;
-        delete state.playlist;
-        delete state.xfade;
+    /**
+     * the old command won't be sent, instead it turns out however the replacement does
+     * @private
+     */
+    function replaceCommand(old_command, replacement){
+        releaseCommand(old_command);
+        replacement.promise.then(old_command.resolve, old_command.reject);
+    }
 
-        state.next_song = {
-            queue_idx: state.nextsong,
-            id: state.nextsongid
-        };
-        delete state.nextsong;
-        delete state.nextsongid;
 
-        state.volume /= 100;
+    /**
+     * if the command is throttled and was sent too recently, hold on to it until it's allowed to go.
+     * a newer one replaces it if it comes along in the meantime
+     * returns true if the command is being held
+     * @private
+     */
+    function throttleCommand(command){
+        if(command instanceof Function){
+            return false;
+        }
+        var key = getCoalesceKey(command);
+        if(key === null){
+            return false;
+        }
+        var interval = _private.throttle[key.split(' ')[0]];
+        if(!interval){
+            return false;
+        }
 
-        for(property in state){
-            _private.state[property] = state[property];
+        var now = Date.now();
+        var held = _private.throttled[key];
+
+        if(!held && !(now - _private.throttle_times[key] < interval)){
+            //it's been long enough, let it through
+            _private.throttle_times[key] = now;
+            return false;
         }
 
-        callHandler('StateChanged',self.getState());
+        if(held){
+            replaceCommand(held.command, command);
+            held.command = command;
+            return true;
+        }
+
+        held = _private.throttled[key] = {command: command};
+        held.timer = setTimeout(function(){
+            delete _private.throttled[key];
+            _private.throttle_times[key] = Date.now();
+            _private.command_queue.push(held.command);
+            //it's waited long enough, don't give the next one a chance to coalesce it away
+            processComandQueue();
+        }, interval - (now - _private.throttle_times[key]));
+        return true;
     }
 
 
     /**
-     * handler for the current queue
+     * turn whatever we were given as a command into a {command, handler, error} object with a promise attached
+     * functions, 'on complete commands', are left alone
      * @private
      */
-    function queueHandler(lines){
-        var queue_songs = processListResponce(lines);
+    function normalizeCommand(command){
+        if(command instanceof Function){
+            return command;
+        }
 
-        var source = { songs: queue_songs.map(
-            function(song){
-                return MPD.QueueSong(self,song);
-            }
-        )};
+        //if it's a string make it be an object
+        if(typeof command === 'string'){
+            command = {command:command}; //malkovich
+        }
 
-        _private.state.current_queue = MPD.Queue(self, source);
+        //if it doesn't have a handler give it a 'do nothing' handler
+        if(typeof command.handler === 'undefined'){
+            command.handler = function(){};
+        }
 
-        callHandler('QueueChanged',self.getQueue());
+        //if it doesn't have a error handler give it the default error handler
+        if(typeof command.error === 'undefined'){
+            command.error = defaultErrorHandler;
+        }
+
+        if(typeof command.timeout === 'undefined'){
+            command.timeout = _private.command_timeout;
+        }
+
+        command.promise = new Promise(function(resolve, reject){
+            command.resolve = function(value){
+                releaseCommand(command);
+                resolve(value);
+            };
+            command.reject = function(error){
+                releaseCommand(command);
+                reject(error);
+            };
+        });
+        command.promise.catch(function(){});
+
+        if(command.signal){
+            command.cancel = function(){
+                cancelCommand(command);
+            };
+            command.signal.addEventListener('abort', command.cancel);
+        }
+
+        return command;
     }
 
 
     /**
-     * handler for the list of playlists
+     * stop the command's timeout and stop listening to it's signal, it's done (or at least sent)
      * @private
      */
-    function playlistsHandler(lines){
-        _private.state.playlists = processListResponce(lines);
-
-        callHandler('PlaylistsChanged',self.getPlaylists());
+    function releaseCommand(command){
+        clearTimeout(command.timer);
+        command.timer = null;
+        if(command.cancel){
+            command.signal.removeEventListener('abort', command.cancel);
+            command.cancel = null;
+        }
     }
 
-    /*\
-    | meta-handlers
-    \*/
 
     /**
-     * get a handler wrapper for the results of a search
+     * the command's signal was aborted, take it off the queue (or out of the throttle) if it hasn't been sent yet
      * @private
      */
-    function getSearchHandler(onDone){
-        return function(lines){
-            var results = processListResponce(lines);
-            onDone(results.map(function(song){
-                return MPD.SearchSong(self,song);
-            }));
-        };
+    function cancelCommand(command){
+        for(var key in _private.throttled){
+            if(_private.throttled[key].command === command){
+                clearTimeout(_private.throttled[key].timer);
+                delete _private.throttled[key];
+                command.reject(new MPD.AbortError(command.command));
+                return;
+            }
+        }
+
+        var idx = _private.command_queue.indexOf(command);
+        if(idx === -1){
+            //too late, it's been sent (or is done)
+            return;
+        }
+        _private.command_queue.splice(idx, 1);
+        command.reject(new MPD.AbortError(command.command));
     }
 
 
     /**
-     * get a handler wrapper for the results of a tag search
+     * MPD didn't answer the command in time. we don't know what it will say, if anything, so the responces can't be trusted to line up with our commands anymore.
+     * the only way back is a fresh connection
      * @private
      */
-    function getTagSearchHandler(onDone, tag){
-        return function(lines){
-            var results = processListResponce(lines);
-            onDone(results.map(function(result){
-                return result[tag];
-            }));
-        };
+    function onCommandTimeout(command){
+        command.timer = null;
+        var transport = _private.socket;
+        var error = new MPD.TimeoutError(command.command, command.timeout);
+        log(error.message);
+
+        command.error(error);
+        command.reject(error);
+
+        if(_private.socket === transport && transport){
+            onDisconnect();
+            transport.close();
+        }
     }
 
 
     /**
-     * handler for the list of directories
-     * @private
+     * get the next command off the queue and process it
      */
-    function getDirectoryHandler(onDone){
-        return function(lines){
-            var results = processListResponce(lines, /^file$|^directory$/);
-            onDone(results.map(function(file){
-                if(typeof file.file !== 'undefined'){
-                    return MPD.FileSong(self,file);
-                }
-                else{
-                    return MPD.Directory(self,file);
+    function processComandQueue(){
+        var command_string = '';
+        var post_functions = [];
+
+        if(_private.command_queue.length === 0){
+            //someone beat us to it
+            return;
+        }
+
+        if(!_private.state.connected || _private.responceProcessor !== onRawData){
+            //we'll get to these once we've (re)connected
+            return;
+        }
+
+        if(_private.commandHandlers.length > 0 && _private.commandHandlers[0].command !== 'idle'){
+            //there are outstatnding commands being processed still, wait until the last batch finishes
+            //we don't have to timeout call ourself because we will be called when the outstanding commands are done
+            //if we are waiting on the idle handler then this doesn't count
+            return;
+        }
+
+        //if the idle handler is the only thing outstanding we are idling and have to break out of it first
+        var is_idling = _private.commandHandlers.length > 0;
+
+        _private.command_queue.forEach(function(command){
+            if(command instanceof Function){
+                //case when we are given function, an 'on complete command'
+                //if we are given a function, it will be called when all previous commands are complete
+                post_functions.push(command);
+            }
+            else{
+                //append the command
+                command_string += command.command+'\n';
+                command.sent_time = Date.now();
+
+                //it can't be cancelled anymore, but now it can time out
+                releaseCommand(command);
+                if(command.timeout > 0){
+                    command.timer = setTimeout(function(){
+                        onCommandTimeout(command);
+                    }, command.timeout);
                 }
+            }
+
+            //set the handler
+            _private.commandHandlers.push(command);
+        });
+        _private.command_queue = [];
+
+        //issue the command
+        if('' === command_string){
+            //if we were given nothing but post comand functions don't issue a null command
+            //but do call all of those post comand functions
+            _private.commandHandlers = _private.commandHandlers.slice(0, _private.commandHandlers.length - post_functions.length);
+            post_functions.forEach(function(func){
+                func();
+            });
+        }
+        else{
+            _private.commandHandlers.push(normalizeCommand({
+                command:'idle',
+                handler:idleHandler,
+                error:defaultErrorHandler,
+                timeout:0
             }));
-        };
+
+            command_string = 'command_list_ok_begin\n'+command_string+'idle\ncommand_list_end\n';
+            if(is_idling){
+                command_string = 'noidle\n'+command_string;
+            }
+
+            sendString(command_string);
+        }
     }
 
 
     /**
-     * handler for loading a single playlist
+     * MPD gives up on the rest of a command list as soon as one command in it fails, including the idle at the end
+     * so none of the commands after the failed one were run. the ones issued along with it depended on it, they fail with a {@link NotExecutedError} (and their post functions are skipped),
+     * anyone else's go out again with the next batch. then back to idling
      * @private
      */
-    function getPlaylistHandler(onDone, idx){
-        return function(lines){
-            var results = processListResponce(lines);
+    function abortBatch(failed_command, error){
+        var retry = [];
+        while(_private.commandHandlers.length > 0){
+            var command = _private.commandHandlers.shift();
+            if(!(command instanceof Function) && command.command === 'idle'){
+                break;
+            }
+            if(command.batch !== failed_command.batch){
+                if(!(command instanceof Function)){
+                    //it gets a new timeout when it's sent again
+                    releaseCommand(command);
+                }
+                retry.push(command);
+            }
+            else if(!(command instanceof Function)){
+                //only the promise hears about this, the error handler already has been told about the one real failure
+                command.reject(new MPD.NotExecutedError(command.command, error));
+            }
+        }
+        _private.command_queue = retry.concat(_private.command_queue);
 
-            var source = cloneObject(_private.state.playlists[idx]);
-            source.songs = results.map(function(song, pos){
-                song.position = pos;
-                return MPD.PlaylistSong(self,song);
-            });
-            onDone(MPD.Playlist(self,source));
-        };
+        if(!_private.state.connected){
+            //the error handler gave up on this connection
+            return;
+        }
+
+        if(_private.command_queue.length > 0){
+            processComandQueue();
+        }
+        else{
+            _private.commandHandlers.push(normalizeCommand({
+                command:'idle',
+                handler:idleHandler,
+                error:defaultErrorHandler,
+                timeout:0
+            }));
+            sendString('idle\n');
+        }
+    }
+
+    /**
+     * what to do by default if a command fails
+     */
+    function defaultErrorHandler(error){
+        //if it's an error we know something about, maybe we can deal with it, otherwise just call registered handlers
+        if(error instanceof MPD.PermissionError){
+            // we\the user tried to do something they are not allowed to do
+            callHandler('AuthFailure', error, true);
+        }
+        else{
+            callHandler('Error', error, true);
+        }
     }
 
 
+    /*************************************\
+    |* process responces from the server *|
+    \*************************************/
+
+
     /**
-     * given a change key, return the command that will result in getting the changed data
+     * return all of the lines upto one that matches the passed line
+     * MUTATES lines
      * @private
      */
-    function figureOutWhatToReload(change){
-        switch(change){
-            case 'database': //the song database has been modified after update.
-                //reload
-                //everything
-                return 'everything';
-            break;
+    function getLines(lines, last_line){
+        var end_line = -1;
+        for(var i = 0; i<lines.length; i++){
+            var line = lines[i];
+            if(typeof line !== 'string'){
+                //binary data
+                continue;
+            }
+            if(line.match(last_line)){
+                end_line = i;
+                break;
+            }
+            if(line.indexOf('ACK') === 0){
+                throw new Error('unexpected error');
+            }
+        }
 
-            case 'stored_playlist': //a stored playlist has been modified, renamed, created or deleted, no idea which one
-                return 'playlist';
-            break;
+        if(end_line === -1){
+            return null;
+        }
+        return lines.splice(0, end_line+1);
+    }
 
-            case 'playlist': //the current playlist has been modified
-                return 'queue';
-            break;
 
-            /*these are all status changed*/
-            case 'player': //the player has been started, stopped or seeked
-            case 'mixer': //the volume has been changed
-            case 'options': //options like repeat, random, crossfade, replay gain
-                return 'status';
-            break;
+    /**
+     * return error object if there is one, null otherwise
+     * command_text is the full text of the command the error is for
+     * MUTATES lines
+     * @private
+     */
+    function getError(lines, command_text){
+        var line = lines[0];
+        var error = null;
+        if(line.indexOf('ACK') === 0){
+            log('***ERROR*** '+line);
+            //parse the error into an object
+            error = line.match(/ACK \[(\d+)@(\d+)\] \{([^}]*)} (.*)/);
+            error = MPD.MPDError.fromAck({
+                code: parseInt(error[1], 10),
+                line: parseInt(error[2], 10),
+                command: error[3],
+                message: error[4]
+            }, command_text);
+            lines.splice(0,1);
+        }
+        return error;
+    }
 
-            case 'output': //an audio output has been enabled or disabled
-                return 'outputs';
-            break;
 
-            /*these are things I'm not interested in (yet)*/
-            case 'update': //a database update has started or finished. If the database was modified during the update, the database event is also emitted.
-                //we don't want to do anything, but the front end might be interested in knowing about it
-                callHandler('DatabaseChanging');
-            case 'sticker': //the sticker database has been modified.
-            case 'subscription': //a client has subscribed or unsubscribed to a channel
-            case 'message': //a message was received on a channel this client is subscribed to; this event is only emitted when the queue is empty
-            default:
-                //default do nothing
+    /**
+     * split a 'Key: value' line into a normalized {key, value}
+     * keys are lower cased with anything that isn't a word character turned into '_', numbers and dates are converted
+     * @private
+     */
+    function processKeyValue(line){
+        var key = line.replace(/([^:]+): (.*)/,'$1');
+        var value = line.replace(/([^:]+): (.*)/,'$2');
+        var date = null;
+        if(value.length>0){
+            if(value.match(/^\d*(\.\d*)?$/)){
+                value = parseFloat(value);
+            }
+            else if(date = parseDate(value)){
+                value = date;
+            }
         }
+        key = key.toLowerCase();
+        key = key.replace(/[^\w\d]+/g, '_');
+
+        return {key:key, value:value};
     }
 
 
     /**
-     * wait for something to change
-     * this is the state we spend most of out time in
+     * generic responce handler
+     * deals with a responce that is one single object, keys that show up more than once get an array of all their values
      * @private
      */
-    function idleHandler(lines){
-        if(lines.length > 0){
-            var actions = {};
-            lines.forEach(function(line){
-                var change = line.replace(/([^:]+): (.*)/,'$2');
-                actions[figureOutWhatToReload(change)] = true;
-            });
-
-            if(actions.everything){
-                //don't even bother doing anything fancy
-                loadEverything(true);
+    function processObjectResponce(lines){
+        var output = {};
+        lines.forEach(function(line){
+            var pair = processKeyValue(line);
+            if(typeof output[pair.key] === 'undefined'){
+                output[pair.key] = pair.value;
             }
             else{
-                //now we have to reload all the stuff we need
-                //in the right order
+                output[pair.key] = [].concat(output[pair.key], pair.value);
+            }
+        });
+        return output;
+    }
 
-                var commands = [];
 
-                if(actions.queue){
-                    commands.push({
-                        command:'playlistinfo',
-                        handler:queueHandler
-                    });
-                }
-                if(actions.status){
-                    commands.push({
-                        command:'status',
-                        handler:stateHandler
-                    });
-                }
-                if(actions.outputs){
-                    commands.push({
-                        command:'outputs',
-                        handler:outputHandler
-                    });
-                    //TODO remove this hack when this bug is fixed in MPD
-                    setTimeout(function(){
-                        issueCommands({
-                            command:'status',
-                            handler:stateHandler
-                        });
-                    },500);
-                }
-                if(actions.playlist){
-                    commands.push({
-                        command:'listplaylists',
-                        handler:playlistsHandler
-                    });
-                }
+    /**
+     * generic responce handler
+     * deals with a responce that is a list of some sort of datastructure repeated over and over
+     * @private
+     */
+    function processListResponce(lines, new_file_marker){
+        var output = [];
+        var current_thing = null;
+        var file_marker = null
+        //so, we get an undiferentiated stream of key/value pairs
+        lines.forEach(function(line){
+            if(!current_thing){
+                current_thing = {};
+            }
+            var pair = processKeyValue(line);
+            var key = pair.key;
+            var value = pair.value;
 
-                if(commands.length > 0){
-                    issueCommands(commands,false);
+            //we are starting a new object
+            if(file_marker && key.match(file_marker)){
+                output.push(current_thing);
+                current_thing = {};
+            }
+            current_thing[key] = value;
+
+            //we want to skip the first, starting key so this is down here
+            if(file_marker === null){
+                if(new_file_marker){
+                    file_marker = new_file_marker;
+                }
+                else{
+                    file_marker = new RegExp('^'+key+'$');
                 }
             }
+
+        });
+
+        //get the last one
+        if(current_thing){
+            output.push(current_thing);
         }
+
+        return output;
     }
 
 
     /**
-     * method name says it all
-     * @private
+     *fetch outstanding lines from MPD
+     */
+    function getRawLines(){
+        var lines;
+        if(_private.socket.receiveBytes){
+            lines = getRawByteLines();
+        }
+        else{
+            _private.raw_buffer += _private.socket.receive();//get the raw string
+
+            lines = _private.raw_buffer.split('\n');//split that into lines
+
+            _private.raw_buffer = lines.pop(); //last line is incomplete
+        }
+
+        _private.raw_lines.push.apply(_private.raw_lines,lines); //append these new lines to the running collection we have
+
+        if(_private.do_logging){
+            lines.forEach(function(str){
+                log(typeof str === 'string' ? 'recived: "'+str+'"' : 'recived: '+str.length+' bytes of binary');
+            }); //log what we got
+        }
+
+        return _private.raw_lines;
+    }
+
+
+    /**
+     * the byte level version of getRawLines, for transports that can give us bytes
+     * lines are decoded as UTF-8, except after a 'binary: <length>' line the next length bytes are passed along untouched, as a Uint8Array 'line'
+     * returns just the new lines
+     * @private
+     */
+    function getRawByteLines(){
+        var received = _private.socket.receiveBytes();
+        var buffer = new Uint8Array(_private.raw_bytes.length + received.length);
+        buffer.set(_private.raw_bytes, 0);
+        buffer.set(received, _private.raw_bytes.length);
+
+        var decoder = new TextDecoder('utf-8');
+        var lines = [];
+        var position = 0;
+        while(position < buffer.length){
+            if(_private.binary_length !== null){
+                if(buffer.length - position < _private.binary_length + 1){
+                    //the rest of the binary data (and the newline after it) hasn't come yet
+                    break;
+                }
+                lines.push(buffer.slice(position, position + _private.binary_length));
+                position += _private.binary_length + 1;
+                _private.binary_length = null;
+                continue;
+            }
+
+            var end = buffer.indexOf(10, position);
+            if(end === -1){
+                //last line is incomplete
+                break;
+            }
+            var line = decoder.decode(buffer.subarray(position, end));
+            position = end + 1;
+            lines.push(line);
+
+            var binary = line.match(/^binary: (\d+)$/);
+            if(binary){
+                _private.binary_length = parseInt(binary[1], 10);
+            }
+        }
+
+        _private.raw_bytes = buffer.slice(position);
+        return lines;
+    }
+
+
+    /**
+     * called when we have some data,
+     * might be a message,
+     * might be a fragment of a message,
+     * might be multiple messages
+     * @private
+     */
+    function onRawData(){
+        var lines = getRawLines();
+        //keep processing untill we can't process any more
+        var command_processor = null;
+        var old_lines;//this is infinite loop prevention, should never actually happen
+        while(lines.length > 0 && old_lines != lines.length){
+            old_lines = lines.length;
+
+            var error = getError(lines, _private.commandHandlers[0].command);
+            if(error){
+                //this command hit an error
+                command_processor = _private.commandHandlers.shift(); //get the next outstanding command processor
+                //reject first, the error handler might fail everything else (and the batch should fail with the real error)
+                command_processor.reject(error);
+                command_processor.error(error);
+                abortBatch(command_processor, error);
+                continue;
+            }
+            else{
+                var command_lines = getLines(lines, /^OK$|^list_OK$/);//get everything until the 'OK' line
+                if(command_lines === null){
+                    //we have hit the end of the useable lines
+                    break;
+                }
+                command_lines.pop(); //get rid of the 'OK'
+
+                command_processor = _private.commandHandlers.shift(); //get the next outstanding command processor
+
+                try{
+                    //execure the processor on the results of the command
+                    command_processor.resolve(command_processor.handler(command_lines));
+                }
+                catch(err){
+                    command_processor.reject(err);
+                    callHandler('Error', err, true);
+                }
+            }
+
+            //call everything we are supposed to just call
+            while(_private.commandHandlers.length > 0 && _private.commandHandlers[0] instanceof Function){
+                _private.commandHandlers.shift()();
+            }
+        }
+
+        //if there are no commandHandlers left (or we are just idling), we have definitely exauhsted our outstanding commands
+        //if there is something in the command_queue, we have another batch of commands to issue
+        //so process them
+        if(_private.command_queue.length > 0){
+            processComandQueue();
+        }
+    }
+
+
+    /**
+     * we are expecting a connection responce
+     * this handles raw data because when we first connect the protocol is comepletely different than at any other point
+     * @private
+     */
+    function handleConnectionMessage(){
+        var lines = getRawLines();
+
+        if(lines.length < 1){
+            return;
+        }
+
+        var line = lines.shift(1);
+
+        _private.state.version = line.replace(/^OK MPD /, '');
+
+        _private.responceProcessor = onRawData;
+
+        //anything that was issued while we weren't connected has to wait until we've logged in and loaded
+        var waiting = _private.command_queue;
+        _private.command_queue = [];
+
+        if(typeof _password !== 'undefined'){
+            setConnectionState('authenticating');
+            issueCommands({
+                command:MPD.buildCommand('password', _password),
+                handler:function(){
+                    setConnectionState('loading');
+                },
+                error:cancelLoad
+            });
+        }
+        else{
+            setConnectionState('loading');
+        }
+
+        //a new connection isn't subscribed to anything
+        //(skip the ones that are waiting to go already, subscribing twice is an error and would take the rest of the load down with it)
+        var waiting_commands = waiting.map(function(command){
+            return command.command;
+        });
+        Object.keys(_private.subscriptions).forEach(function(channel){
+            var command = MPD.buildCommand('subscribe', channel);
+            if(waiting_commands.indexOf(command) === -1){
+                issueCommands({
+                    command:command,
+                    error:ignoreExist
+                });
+            }
+        });
+
+        //issue the commands that will (re)init this object
+        var load = function(){
+            loadAsConfigured();
+            _private.command_queue.push.apply(_private.command_queue, waiting);
+        };
+
+        if(_private.partition !== null){
+            //everything we load depends on which partition we are in, so get back into it first
+            issueCommands({
+                command:MPD.buildCommand('partition', _private.partition),
+                handler:load,
+                error:function(error){
+                    log("couldn't get back into partition '"+_private.partition+"'");
+                    _private.partition = null;
+                    defaultErrorHandler(error);
+                    load();
+                }
+            });
+        }
+        else{
+            load();
+        }
+    }
+
+    /********************\
+    |* command handlers *|
+    \********************/
+
+    /**
+     * handles the 'tagtypes' command
+     */
+    function tagHandler(lines){
+        var tag_types = processListResponce(lines);
+        _private.tag_types = ['any'].concat(
+            tag_types.map(function(tagtype){
+                return tagtype.tagtype.toLowerCase();
+            })
+        );
+    }
+
+    /**
+     * deal with the result of the 'outputs' command
+     */
+    function outputHandler(lines){
+        _private.outputs = processListResponce(lines);
+
+        callHandler('OutputChanged',self.getOutputs());
+    }
+
+    /**
+     * handle the responce from the 'status' command
+     * @private
+     */
+    function stateHandler(lines, received_time){
+
+        //what things looked like before, so we can tell what changed
+        var previous = getStateSnapshot();
+
+        //update this so playtime is calculated accurately (from when MPD told us, if we held on to it for a bit)
+        _private.last_status_update_time = received_time ? received_time : new Date();
+
+        log('state');
+
+        //convert the lines into an object
+        var state = {};
+        lines.forEach(function(line){
+            var key = line.replace(/([^:]+): (.*)/,'$1');
+            var value = line.replace(/([^:]+): (.*)/,'$2');
+            if(value.match(/^\d*(\.\d*)?$/)){
+                value = parseFloat(value);
+            }
+            state[key] = value;
+        });
+
+        //normalize some of the state properties because I don't like them the way they are
+        //because of course I know better than the MPD maintainers what things should be called and the ranges things should be in
+        state.current_song = {
+            queue_idx: state.song,
+            elapsed_time: state.elapsed,
+            id: state.songid
+        };
+        delete state.song;
+        delete state.elapsed;
+        delete state.songid;
+
+        state.mix_ramp_threshold = state.mixrampdb;
+        state.playstate = state.state;
+        state.queue_version = state.playlist;
+        state.crossfade = (typeof state.xfade === 'undefined')?0:state.xfade;
+        delete state.mixrampdb;
+        delete state.state;
+        delete state.playlist;
+        delete state.xfade;
+
+        state.next_song = {
+            queue_idx: state.nextsong,
+            id: state.nextsongid
+        };
+        delete state.nextsong;
+        delete state.nextsongid;
+
+        state.volume /= 100;
+
+        //these are only there some of the time
+        state.bitrate = valueOrNull(state.bitrate);
+        state.audio_format = (typeof state.audio === 'undefined') ? null : parseAudioFormat(state.audio);
+        if(typeof state.duration === 'undefined' && typeof state.time === 'string'){
+            //older servers only have the whole seconds in time, as elapsed:duration
+            state.duration = parseFloat(state.time.split(':')[1]);
+        }
+        state.duration = valueOrNull(state.duration);
+        state.updating_job_id = valueOrNull(state.updating_db);
+        state.player_error = valueOrNull(state.error);
+        state.partition = valueOrNull(state.partition);
+        delete state.audio;
+        delete state.time;
+        delete state.updating_db;
+        delete state.error;
+
+        var reconciliation = reconcileStateChanges(state);
+
+        for(property in state){
+            _private.state[property] = state[property];
+        }
+        //get rid of anything the last status had that this one doesn't
+        _private.status_keys.forEach(function(key){
+            if(!(key in state)){
+                delete _private.state[key];
+            }
+        });
+        _private.status_keys = Object.keys(state);
+
+        callHandler('StateChanged',self.getState());
+
+        emitStateChanges(previous, getStateSnapshot());
+
+        if(reconciliation){
+            callHandler('StateReconciled', reconciliation);
+        }
+    }
+
+
+    /**
+     * the parts of the state the finer grained state events are about, as they are right now
+     * @private
+     */
+    function getStateSnapshot(){
+        var elapsed_time = _private.state.current_song.elapsed_time;
+        elapsed_time = elapsed_time ? elapsed_time : 0;
+        if(_private.state.playstate === 'play'){
+            elapsed_time += ((new Date()).getTime() - _private.last_status_update_time.getTime())/1000;
+        }
+
+        return {
+            song_id: valueOrNull(_private.state.current_song.id),
+            next_song_id: valueOrNull(_private.state.next_song.id),
+            volume: valueOrNull(_private.state.volume),
+            playstate: valueOrNull(_private.state.playstate),
+            elapsed_time: elapsed_time,
+            bitrate: _private.state.bitrate,
+            audio_format: _private.state.audio_format,
+            updating_job_id: _private.state.updating_job_id,
+            player_error: _private.state.player_error,
+            partition: _private.state.partition,
+            options: {
+                repeat: self.isRepeat(),
+                random: self.isRandom(),
+                single: self.isSingle(),
+                consume: self.isConsume(),
+                crossfade: valueOrNull(_private.state.crossfade),
+                replay_gain_mode: _private.state.replay_gain_mode
+            }
+        };
+    }
+
+
+    /**
+     * compare two state snapshots and fire an event for every part that is different
+     * @private
+     */
+    function emitStateChanges(previous, current){
+        if(previous.song_id !== current.song_id){
+            callHandler('SongChanged', {previous:previous.song_id, current:current.song_id});
+        }
+        else if(current.song_id !== null && Math.abs(previous.elapsed_time - current.elapsed_time) > SEEK_TOLERANCE){
+            //same song, but not where it should be if it had just kept on playing
+            callHandler('Seeked', {previous:previous.elapsed_time, current:current.elapsed_time});
+        }
+
+        if(previous.next_song_id !== current.next_song_id){
+            callHandler('NextSongChanged', {previous:previous.next_song_id, current:current.next_song_id});
+        }
+
+        if(previous.volume !== current.volume){
+            callHandler('VolumeChanged', {previous:previous.volume, current:current.volume});
+        }
+
+        if(previous.playstate !== current.playstate){
+            callHandler('PlaystateChanged', {previous:previous.playstate, current:current.playstate});
+        }
+
+        if(previous.bitrate !== current.bitrate){
+            callHandler('BitrateChanged', {previous:previous.bitrate, current:current.bitrate});
+        }
+
+        if(JSON.stringify(previous.audio_format) !== JSON.stringify(current.audio_format)){
+            callHandler('AudioFormatChanged', {previous:previous.audio_format, current:current.audio_format});
+        }
+
+        if(previous.updating_job_id !== current.updating_job_id){
+            callHandler('UpdatingJobChanged', {previous:previous.updating_job_id, current:current.updating_job_id});
+        }
+
+        if(previous.player_error !== current.player_error){
+            callHandler('PlayerErrorChanged', {previous:previous.player_error, current:current.player_error});
+        }
+
+        if(previous.partition !== current.partition){
+            callHandler('PartitionChanged', {previous:previous.partition, current:current.partition});
+        }
+
+        for(var option in current.options){
+            if(previous.options[option] !== current.options[option]){
+                callHandler('OptionsChanged', {previous:previous.options, current:current.options});
+                break;
+            }
+        }
+    }
+
+
+    /**
+     * handler for the current queue
+     * @private
+     */
+    function queueHandler(lines){
+        var queue_songs = processListResponce(lines);
+
+        _private.queue_sources = queue_songs;
+        var source = { songs: queue_songs.map(
+            function(song){
+                return MPD.QueueSong(self,song);
+            }
+        )};
+
+        _private.state.current_queue = MPD.Queue(self, source);
+
+        callHandler('QueueChanged',self.getQueue());
+    }
+
+
+    /**
+     * get the commands that will bring our copy of the queue up to date
+     * if we have a queue already we just ask for what changed since the version we have (plchangesposid)
+     * and move around the songs we already know about, only if there are songs we've never seen do we ask for their metadata (plchanges)
+     * the status is part of this because that's where we find out how long the queue is now. it isn't handled until the queue is patched,
+     * so nobody hears about a new current song that isn't on our queue yet
+     * @private
+     */
+    function getQueueSyncCommands(){
+        if(_private.state.current_queue === null && !_options.autoLoad){
+            //nobody has asked for the queue yet, so don't get it
+            return [
+                {
+                    command:'status',
+                    handler:stateHandler
+                }
+            ];
+        }
+        if(_private.state.current_queue === null || _private.state.queue_version === null){
+            //nothing to patch, get the whole thing
+            return [
+                {
+                    command:'playlistinfo',
+                    handler:queueHandler
+                },
+                {
+                    command:'status',
+                    handler:stateHandler
+                }
+            ];
+        }
+
+        var version = _private.state.queue_version;
+        var changes = [];
+        var status_lines = [];
+        var status_time = null;
+        return [
+            {
+                command:MPD.buildCommand('plchangesposid', version),
+                handler:function(lines){
+                    changes = processListResponce(lines, /^cpos$/);
+                }
+            },
+            {
+                command:'status',
+                handler:function(lines){
+                    status_lines = lines;
+                    status_time = new Date();
+                }
+            },
+            function(){
+                var length = null;
+                status_lines.forEach(function(line){
+                    if(line.indexOf('playlistlength: ') === 0){
+                        length = parseInt(line.substr(16), 10);
+                    }
+                });
+
+                var known_songs = {};
+                _private.queue_sources.forEach(function(song){
+                    known_songs[song.id] = song;
+                });
+                var unknown = changes.filter(function(change){
+                    return typeof known_songs[change.id] === 'undefined';
+                });
+
+                if(unknown.length > 0){
+                    //there are new songs on the queue, we need their metadata
+                    //the status we have will be out of date by the time they get here, get a new one after them
+                    issueCommands([
+                        {
+                            command:MPD.buildCommand('plchanges', version),
+                            handler:function(lines){
+                                patchQueue(processListResponce(lines, /^file$/), length);
+                            }
+                        },
+                        {
+                            command:'status',
+                            handler:stateHandler
+                        }
+                    ]);
+                }
+                else{
+                    patchQueue(changes.map(function(change){
+                        var song = {};
+                        var known = known_songs[change.id];
+                        for(var key in known){
+                            song[key] = known[key];
+                        }
+                        song.pos = change.cpos;
+                        return song;
+                    }), length);
+                    stateHandler(status_lines, status_time);
+                }
+            }
+        ];
+    }
+
+
+    /**
+     * apply changed songs (metadata with the new pos) to the queue we have, in place,
+     * and cut it down to the length the status said it is now
+     * @private
+     */
+    function patchQueue(changed_songs, length){
+        var songs = _private.state.current_queue.getSongs();
+
+        if(typeof length === 'number' && songs.length > length){
+            songs.splice(length, songs.length - length);
+            _private.queue_sources.splice(length, _private.queue_sources.length - length);
+        }
+
+        changed_songs.forEach(function(song){
+            songs[song.pos] = MPD.QueueSong(self, song);
+            _private.queue_sources[song.pos] = song;
+        });
+
+        callHandler('QueueChanged',self.getQueue());
+    }
+
+
+    /**
+     * get all of a binary responce (albumart or readpicture), one piece at a time
+     * resolves with {data:Uint8Array, type}, or null if there wasn't anything
+     * @private
+     */
+    function readBinary(command, uri){
+        var pieces = [];
+        var received = 0;
+        var type = null;
+
+        var readFrom = function(offset){
+            return issueCommands({
+                command:MPD.buildCommand(command, uri, offset),
+                handler:binaryHandler,
+                error:ignoreNoExist
+            }).then(function(piece){
+                if(piece.data === null || piece.data.length === 0){
+                    //readpicture answers with nothing at all if there is no picture
+                    return null;
+                }
+                pieces.push(piece.data);
+                received += piece.data.length;
+                type = piece.type ? piece.type : type;
+                if(received < piece.size){
+                    return readFrom(received);
+                }
+
+                var data = new Uint8Array(received);
+                var position = 0;
+                pieces.forEach(function(piece){
+                    data.set(piece, position);
+                    position += piece.length;
+                });
+                return {data:data, type:type};
+            });
+        };
+
+        return readFrom(0);
+    }
+
+
+    /**
+     * handler for one piece of a binary responce: size, type (maybe) and binary lines followed by the data
+     * @private
+     */
+    function binaryHandler(lines){
+        var piece = {size:0, type:null, data:null};
+        lines.forEach(function(line){
+            if(typeof line !== 'string'){
+                piece.data = line;
+                return;
+            }
+            var key = line.replace(/([^:]+): (.*)/,'$1');
+            var value = line.replace(/([^:]+): (.*)/,'$2');
+            if(key === 'size'){
+                piece.size = parseInt(value, 10);
+            }
+            else if(key === 'type'){
+                piece.type = value;
+            }
+        });
+        return piece;
+    }
+
+
+    /**
+     * figure out what kind of image this is from the first few bytes of it
+     * @private
+     */
+    function guessImageType(data){
+        var starts = function(bytes, offset){
+            offset = offset ? offset : 0;
+            for(var i = 0; i<bytes.length; i++){
+                if(data[offset+i] !== bytes[i]){
+                    return false;
+                }
+            }
+            return true;
+        };
+        if(starts([0xFF, 0xD8, 0xFF])){
+            return 'image/jpeg';
+        }
+        if(starts([0x89, 0x50, 0x4E, 0x47])){
+            return 'image/png';
+        }
+        if(starts([0x47, 0x49, 0x46, 0x38])){
+            return 'image/gif';
+        }
+        if(starts([0x52, 0x49, 0x46, 0x46]) && starts([0x57, 0x45, 0x42, 0x50], 8)){
+            return 'image/webp';
+        }
+        if(starts([0x42, 0x4D])){
+            return 'image/bmp';
+        }
+        return 'application/octet-stream';
+    }
+
+
+    /**
+     * turns 'sticker: name=value' lines into {name => value}
+     * @private
+     */
+    function stickerHandler(lines){
+        var stickers = {};
+        lines.forEach(function(line){
+            var sticker = line.replace(/^sticker: /, '');
+            var split = sticker.indexOf('=');
+            stickers[sticker.substr(0, split)] = sticker.substr(split+1);
+        });
+        return stickers;
+    }
+
+
+    /**
+     * error handler for commands where MPD saying it doesn't exist isn't really an error
+     * @private
+     */
+    function ignoreNoExist(error){
+        if(!(error instanceof MPD.NoExistError)){
+            defaultErrorHandler(error);
+        }
+    }
+
+
+    /**
+     * error handler for commands where MPD saying it already exists isn't really an error
+     * @private
+     */
+    function ignoreExist(error){
+        if(!(error instanceof MPD.ExistError)){
+            defaultErrorHandler(error);
+        }
+    }
+
+
+    /**
+     * handler for the 'readmessages' command, fires a 'Message' event for each one
+     * @private
+     */
+    function messagesHandler(lines){
+        var channel = null;
+        lines.forEach(function(line){
+            var key = line.replace(/([^:]+): (.*)/,'$1');
+            var value = line.replace(/([^:]+): (.*)/,'$2');
+            if(key === 'channel'){
+                channel = value;
+            }
+            else if(key === 'message'){
+                callHandler('Message', {channel:channel, message:value});
+            }
+        });
+    }
+
+
+    /**
+     * handler for the 'replay_gain_status' command
+     * @private
+     */
+    function replayGainHandler(lines){
+        var previous = getStateSnapshot();
+        var status = processObjectResponce(lines);
+        _private.state.replay_gain_mode = valueOrNull(status.replay_gain_mode);
+        emitStateChanges(previous, getStateSnapshot());
+    }
+
+
+    /**
+     * handler for the list of playlists
+     * @private
+     */
+    function playlistsHandler(lines){
+        _private.state.playlists = processListResponce(lines);
+
+        callHandler('PlaylistsChanged',self.getPlaylists());
+    }
+
+    /*\
+    | meta-handlers
+    | these all return what they got, that's what the command's promise resolves with,
+    | and also hand it to the onDone callback if there is one
+    \*/
+
+    /**
+     * get a handler wrapper for the results of a search
+     * @private
+     */
+    function getSearchHandler(onDone){
+        return function(lines){
+            var results = processListResponce(lines).map(function(song){
+                return MPD.SearchSong(self,song);
+            });
+            if(onDone){
+                onDone(results);
+            }
+            return results;
+        };
+    }
+
+
+    /**
+     * get a handler wrapper for the results of a tag search
+     * @private
+     */
+    function getTagSearchHandler(onDone, tag){
+        return function(lines){
+            var results = processListResponce(lines).map(function(result){
+                return result[tag];
+            });
+            if(onDone){
+                onDone(results);
+            }
+            return results;
+        };
+    }
+
+
+    /**
+     * get a handler for a grouped tag list, see listTags
+     * every value line is recorded along with the group values it came under, then they are nested in the order of groups
+     * @private
+     */
+    function getTagListHandler(onDone, tag, groups){
+        var normalize = function(name){
+            return name.toLowerCase().replace(/[^\w\d]+/g, '_');
+        };
+        tag = normalize(tag);
+        groups = groups.map(normalize);
+
+        return function(lines){
+            var current = {};
+            var results = groups.length ? {} : [];
+            lines.forEach(function(line){
+                var key = normalize(line.replace(/([^:]+): ?(.*)/,'$1'));
+                var value = line.replace(/([^:]+): ?(.*)/,'$2');
+                if(key !== tag){
+                    current[key] = value;
+                    return;
+                }
+                var node = results;
+                groups.forEach(function(group, i){
+                    var group_value = (typeof current[group] === 'undefined') ? '' : current[group];
+                    if(typeof node[group_value] === 'undefined'){
+                        node[group_value] = (i === groups.length-1) ? [] : {};
+                    }
+                    node = node[group_value];
+                });
+                if(node.indexOf(value) === -1){
+                    node.push(value);
+                }
+            });
+            if(onDone){
+                onDone(results);
+            }
+            return results;
+        };
+    }
+
+
+    /**
+     * handler for the list of directories
+     * @private
+     */
+    function getDirectoryHandler(onDone){
+        return function(lines){
+            var results = processListResponce(lines, /^file$|^directory$/).map(function(file){
+                if(typeof file.file !== 'undefined'){
+                    return MPD.FileSong(self,file);
+                }
+                else{
+                    return MPD.Directory(self,file);
+                }
+            });
+            if(onDone){
+                onDone(results);
+            }
+            return results;
+        };
+    }
+
+
+    /**
+     * handler for loading a single playlist
+     * @private
+     */
+    function getPlaylistHandler(onDone, idx){
+        return function(lines){
+            var results = processListResponce(lines);
+
+            var source = cloneObject(_private.state.playlists[idx]);
+            source.songs = results.map(function(song, pos){
+                song.position = pos;
+                return MPD.PlaylistSong(self,song);
+            });
+            var playlist = MPD.Playlist(self,source);
+            if(onDone){
+                onDone(playlist);
+            }
+            return playlist;
+        };
+    }
+
+
+    /**
+     * given a change key, return the command that will result in getting the changed data
+     * @private
+     */
+    function figureOutWhatToReload(change){
+        switch(change){
+            case 'database': //the song database has been modified after update.
+                //reload
+                //everything
+                return 'everything';
+            break;
+
+            case 'stored_playlist': //a stored playlist has been modified, renamed, created or deleted, no idea which one
+                return 'playlist';
+            break;
+
+            case 'playlist': //the current playlist has been modified
+                return 'queue';
+            break;
+
+            /*these are all status changed*/
+            case 'player': //the player has been started, stopped or seeked
+            case 'mixer': //the volume has been changed
+                return 'status';
+            break;
+
+            case 'options': //options like repeat, random, crossfade, replay gain
+                return 'options';
+            break;
+
+            case 'update': //a database update has started or finished. If the database was modified during the update, the database event is also emitted.
+                //the front end might be interested in knowing about it, and the status says which update is running
+                callHandler('DatabaseChanging');
+                return 'status';
+            break;
+
+            case 'output': //an audio output has been enabled or disabled
+                return 'outputs';
+            break;
+
+            case 'sticker': //the sticker database has been modified.
+                //MPD doesn't say what changed, so there's nothing to reload, but the front end might want to
+                callHandler('StickersChanged');
+            break;
+
+            case 'partition': //a partition was added, removed or changed
+                callHandler('PartitionsChanged');
+            break;
+
+            case 'subscription': //a client has subscribed or unsubscribed to a channel
+                callHandler('ChannelsChanged');
+            break;
+
+            case 'message': //a message was received on a channel this client is subscribed to; this event is only emitted when the queue is empty
+                return 'messages';
+            break;
+
+            /*these are things I'm not interested in (yet)*/
+            default:
+                //default do nothing
+        }
+    }
+
+
+    /**
+     * wait for something to change
+     * this is the state we spend most of out time in
+     * @private
+     */
+    function idleHandler(lines){
+        if(lines.length > 0){
+            var actions = {};
+            lines.forEach(function(line){
+                var change = line.replace(/([^:]+): (.*)/,'$2');
+                actions[figureOutWhatToReload(change)] = true;
+            });
+
+            if(actions.everything){
+                //don't even bother doing anything fancy
+                loadEverything();
+            }
+            else{
+                //now we have to reload all the stuff we need
+                //in the right order
+
+                var commands = [];
+
+                if(actions.queue){
+                    //this gets the status too
+                    commands.push.apply(commands, getQueueSyncCommands());
+                }
+                else if(actions.status || actions.options){
+                    commands.push({
+                        command:'status',
+                        handler:stateHandler
+                    });
+                }
+                if(actions.options){
+                    //replay gain is an option, but it isn't in the status
+                    commands.push({
+                        command:'replay_gain_status',
+                        handler:replayGainHandler
+                    });
+                }
+                if(actions.outputs){
+                    commands.push({
+                        command:'outputs',
+                        handler:outputHandler
+                    });
+                    //TODO remove this hack when this bug is fixed in MPD
+                    setTimeout(function(){
+                        issueCommands({
+                            command:'status',
+                            handler:stateHandler
+                        });
+                    },500);
+                }
+                if(actions.playlist){
+                    commands.push({
+                        command:'listplaylists',
+                        handler:playlistsHandler
+                    });
+                }
+                if(actions.messages){
+                    commands.push({
+                        command:'readmessages',
+                        handler:messagesHandler
+                    });
+                }
+
+                if(commands.length > 0){
+                    issueCommands(commands);
+                }
+            }
+        }
+    }
+
+
+    /**
+     * method name says it all
+     * @private
+     */
+    function loadEverything(){
+        setInited(false);
+
+        //this loads all of the data from the MPD server we need
+        //it gets the queue first, then the state (because the state references the queue),
+        //then all of the other data that shouldn't change without MPD going down in no particular order
+        return issueCommands(
+            [
+                {
+                    command:'playlistinfo',
+                    handler:queueHandler,
+                    error:cancelLoad
+                },
+                {
+                    command:'status',
+                    handler:stateHandler,
+                    error:cancelLoad
+                },
+                {
+                    command:'tagtypes',
+                    handler:tagHandler,
+                    error:cancelLoad
+                },
+                {
+                    command:'outputs',
+                    handler:outputHandler,
+                    error:cancelLoad
+                },
+                {
+                    command:'listplaylists',
+                    handler:playlistsHandler,
+                    error:cancelLoad
+                },
+                {
+                    command:'replay_gain_status',
+                    handler:replayGainHandler,
+                    error:cancelLoad
+                },
+                function(){
+                    setInited(true);
+                    setConnectionState('ready');
+                    callHandler('DataLoaded',_private.state);
+                }
+            ]
+        );
+    }
+
+    /**
+     * load everything, or if we were told not to load anything only get the status, unless something was loaded already
+     * @private
+     */
+    function loadAsConfigured(){
+        if(_options.autoLoad || _private.state.current_queue !== null){
+            return loadEverything();
+        }
+        return loadStatus();
+    }
+
+
+    /**
+     * just get the status, for when we aren't supposed to load everything on connect
+     * @private
+     */
+    function loadStatus(){
+        setInited(false);
+
+        return issueCommands(
+            [
+                {
+                    command:'status',
+                    handler:stateHandler,
+                    error:cancelLoad
+                },
+                function(){
+                    setInited(true);
+                    setConnectionState('ready');
+                }
+            ]
+        );
+    }
+
+    /**
+     * deal with getting an error during initial data load
+     * everything else that was sent or waiting to be is dropped, their promises are rejected with a NotExecutedError
+     */
+    function cancelLoad(error){
+        _private.socket.close();
+        var dropped = _private.commandHandlers.concat(_private.command_queue);
+        _private.commandHandlers = [];
+        _private.command_queue = [];
+        _private.state.connected = false;
+        dropped.forEach(function(command){
+            if(!(command instanceof Function)){
+                command.reject(new MPD.NotExecutedError(command.command, error));
+            }
+        });
+        defaultErrorHandler(error);
+    }
+
+
+    /**********************\
+    |* optimistic updates *|
+    \**********************/
+
+
+    /**
+     * issue a command that changes the state, in optimistic mode the state is changed right away (and the events fired),
+     * we find out later from the status if MPD agrees
+     * changes is {volume, playstate, repeat, random, single, consume, crossfade, mix_ramp_threshold, song_id, elapsed_time}, whichever the command changes
+     * @private
+     */
+    function issueStateCommand(command, changes){
+        if(!_options.optimistic || !_private.inited || Object.keys(changes).length === 0){
+            return issueCommands(command);
+        }
+
+        var change = {changes:changes, settled:false, time:new Date()};
+        _private.optimistic_changes.push(change);
+
+        var previous = getStateSnapshot();
+        applyStateChanges(_private.state, changes);
+        callHandler('StateChanged',self.getState());
+        emitStateChanges(previous, getStateSnapshot());
+
+        var ret = issueCommands({
+            command:command,
+            handler:function(){
+                change.settled = true;
+            },
+            error:function(error){
+                //get the status so we can put things back the way they really are
+                change.settled = true;
+                defaultErrorHandler(error);
+                issueCommands({
+                    command:'status',
+                    handler:stateHandler
+                });
+            }
+        });
+        //if a newer command replaced this one the handler never gets called, but the promise still settles
+        ret.then(function(){
+            change.settled = true;
+        }, function(){
+            change.settled = true;
+        });
+        return ret;
+    }
+
+
+    /**
+     * apply a set of changes to a state (ours, or one we just got from MPD)
+     * @private
+     */
+    function applyStateChanges(state, changes){
+        if(state === _private.state){
+            //keep the play time where it is now, it's about to be measured from a different starting point
+            state.current_song.elapsed_time = getCurrentSongTime();
+            _private.last_status_update_time = new Date();
+        }
+
+        for(var key in changes){
+            if(key === 'song_id'){
+                state.current_song.id = changes.song_id;
+                state.current_song.queue_idx = null;
+                if(_private.state.current_queue){
+                    _private.state.current_queue.getSongs().forEach(function(song){
+                        if(song.getId() == changes.song_id){
+                            state.current_song.queue_idx = song.getQueuePosition();
+                        }
+                    });
+                }
+            }
+            else if(key === 'elapsed_time'){
+                state.current_song.elapsed_time = changes.elapsed_time;
+            }
+            else{
+                state[key] = changes[key];
+            }
+        }
+    }
+
+
+    /**
+     * a status came in: changes MPD hasn't answered for yet still win over it, the ones it has answered for had better match it
+     * the state is modified to have the pending changes, returns {optimistic, actual} if MPD disagreed with anything, null otherwise
+     * @private
+     */
+    function reconcileStateChanges(state){
+        if(_private.optimistic_changes.length === 0){
+            return null;
+        }
+
+        var pending = _private.optimistic_changes.filter(function(change){
+            return !change.settled;
+        });
+        var pending_keys = {};
+        pending.forEach(function(change){
+            for(var key in change.changes){
+                pending_keys[key] = true;
+            }
+        });
+
+        //the latest settled value of everything that has no newer pending change
+        var expected = {};
+        var expected_times = {};
+        _private.optimistic_changes.forEach(function(change){
+            if(!change.settled){
+                return;
+            }
+            for(var key in change.changes){
+                if(!pending_keys[key]){
+                    expected[key] = change.changes[key];
+                    expected_times[key] = change.time;
+                }
+            }
+        });
+
+        var optimistic = {};
+        var actual = {};
+        var disagreed = false;
+        for(var key in expected){
+            var value = (key === 'song_id') ? state.current_song.id :
+                        (key === 'elapsed_time') ? state.current_song.elapsed_time :
+                        state[key];
+            value = valueOrNull(value);
+            var matches = (value === expected[key]);
+            if(key === 'elapsed_time'){
+                //it's kept on playing since then
+                var played = (state.playstate === 'play') ? ((new Date()).getTime() - expected_times[key].getTime())/1000 : 0;
+                matches = value !== null && Math.abs(expected[key] + played - value) <= SEEK_TOLERANCE;
+            }
+            if(!matches){
+                optimistic[key] = expected[key];
+                actual[key] = value;
+                disagreed = true;
+            }
+        }
+
+        pending.forEach(function(change){
+            applyStateChanges(state, change.changes);
+        });
+        _private.optimistic_changes = pending;
+
+        if(disagreed){
+            log('MPD disagreed with '+JSON.stringify(optimistic)+', it says '+JSON.stringify(actual));
+            return {optimistic:optimistic, actual:actual};
+        }
+        return null;
+    }
+
+
+    /**********\
+    |* events *|
+    \**********/
+
+
+    /**
+     * call all event handlers for the specified event
+     * @private
+     */
+    function callHandler(event_name, args, uncached){
+        if(!_private.inited && !uncached){
+            var event_obj = {};
+            event_obj[event_name] = args;
+            _private.queued_events.push(event_obj);
+            return;
+        }
+
+        var handler_name = 'on'+event_name;
+
+        if(!_private.handlers[handler_name] || _private.handlers[handler_name].length === 0){
+            handler_name = 'onUnhandledEvent';
+        }
+
+        if(_private.handlers[handler_name]){
+            //copy it, handlers can remove themselves (or others) while we are going through them
+            _private.handlers[handler_name].slice().forEach(function(func){
+                try{
+                    func(args, self);
+                }
+                catch(err){
+                    callHandler('Error', err, true);
+                }
+            });
+        }
+
+        if(event_name !== 'Event'){
+            callHandler('Event', {type:event_name, data:args}, uncached);
+        }
+    }
+
+
+    /**
+     * throw if the passed event is not one we have
+     * @private
+     */
+    function checkEventName(event_name){
+        var acceptable_handlers = ['Error', 'Event', 'UnhandledEvent', 'DatabaseChanging', 'AuthFailure', 'DataLoaded', 'StateChanged', 'SongChanged', 'NextSongChanged', 'VolumeChanged', 'PlaystateChanged', 'OptionsChanged', 'Seeked', 'OutputChanged', 'QueueChanged', 'PlaylistsChanged', 'PlaylistChanged','Connect', 'Disconnect', 'ConnectionStateChanged', 'StateReconciled', 'BitrateChanged', 'AudioFormatChanged', 'UpdatingJobChanged', 'PlayerErrorChanged', 'StickersChanged', 'Message', 'ChannelsChanged', 'PartitionChanged', 'PartitionsChanged'];
+
+        if(acceptable_handlers.indexOf(event_name) === -1){
+            throw new Error("'"+event_name+"' is not a supported event");
+        }
+    }
+
+
+    /**
+     * add an event handler
+     * @private
+     */
+    function on(event_name, handler){
+        return addHandler(event_name, handler, handler);
+    }
+
+
+    /**
+     * add an event handler that removes itself the first time it's called
+     * @private
+     */
+    function once(event_name, handler){
+        var remove = addHandler(event_name, function(){
+            remove();
+            return handler.apply(this, arguments);
+        }, handler);
+        return remove;
+    }
+
+
+    /**
+     * add handler, it will be found by off with listener (the function the user gave us)
+     * returns a function that removes it
+     * @private
+     */
+    function addHandler(event_name, handler, listener){
+        checkEventName(event_name);
+
+        //bind the passed method to the client interface
+        handler = handler.bind(self);
+        handler.listener = listener;
+
+        var handler_name = 'on'+event_name;
+        if(_private.handlers[handler_name]){
+            _private.handlers[handler_name].push(handler);
+        }
+        else{
+            _private.handlers[handler_name] = [handler];
+        }
+
+        return function(){
+            if(_private.handlers[handler_name]){
+                _private.handlers[handler_name] = _private.handlers[handler_name].filter(function(func){
+                    return func !== handler;
+                });
+            }
+        };
+    }
+
+
+    /**
+     * remove an event handler
+     * @private
+     */
+    function off(event_name, listener){
+        checkEventName(event_name);
+
+        var handler_name = 'on'+event_name;
+        if(_private.handlers[handler_name]){
+            _private.handlers[handler_name] = _private.handlers[handler_name].filter(function(func){
+                return func.listener !== listener;
+            });
+        }
+    }
+
+
+    /**
+     * remove all event handlers for an event, or all of them
+     * @private
+     */
+    function removeAllListeners(event_name){
+        if(typeof event_name === 'undefined'){
+            _private.handlers = {};
+            return;
+        }
+
+        checkEventName(event_name);
+        delete _private.handlers['on'+event_name];
+    }
+
+    /*******************\
+    |* utility methods *|
+    \*******************/
+
+    /**
+     * logging function
+     * @private
+     */
+    function log(message){
+      if(_private.do_logging){
+        _private.logger("MPD Client: "+message);
+      }
+    }
+
+    /**
+     * private method that gets the host we should connect to, defaults to the domain of the current page
+     * (or localhost if there is no page, i.e. we are running under Node.js)
+     * @private
+     */
+    function getAppropriateHost(){
+      if(typeof _host === 'undefined'){
+          if(typeof document === 'undefined'){
+              _host = 'localhost';
+          }
+          else{
+              //change the url so it points to the root
+              _host = document.URL.replace(/((?:https?:\/\/)?[^\/]+).*/, '$1');
+          }
+      }
+      return _host;
+    }
+
+
+    /**
+     * flattens a {tag<string> => value<string>} search object into [tag, value, tag, value...] arguments,
+     * a {@link Filter} is a single argument
+     * @private
+     */
+    function paramsToArgs(params){
+        if(params && typeof params.getExpression === 'function'){
+            return [params.getExpression()];
+        }
+        var args = [];
+        for(var key in params){
+            args.push(key, params[key]);
+        }
+        return args;
+    }
+
+
+    /**
+     * the sort and window arguments for a search, from it's searchOptions
+     * @private
+     */
+    function searchOptionArgs(options){
+        options = options ? options : {};
+        var args = [];
+        if(typeof options.sort !== 'undefined' && options.sort !== null){
+            args.push('sort', options.sort);
+        }
+        if(typeof options.window !== 'undefined' && options.window !== null){
+            var end = (typeof options.window[1] === 'undefined' || options.window[1] === null) ? '' : options.window[1];
+            args.push('window', options.window[0]+':'+end);
+        }
+        return args;
+    }
+
+
+    /**
+     * the 'position' arguments for commands that add to the queue, if a position was asked for
+     * @private
+     */
+    function positionArgs(options){
+        options = options ? options : {};
+        if(typeof options.position === 'undefined' || options.position === null){
+            return [];
+        }
+        return ['position', options.position];
+    }
+
+
+    /**
+     * undefined becomes null, everything else stays what it is
+     * @private
+     */
+    function valueOrNull(value){
+        return (typeof value === 'undefined') ? null : value;
+    }
+
+
+    /**
+     * turn MPD's samplerate:bits:channels audio format into an audioFormat
+     * bits can be 'f' for floating point, DSD comes as dsd64:channels
+     * @private
+     */
+    function parseAudioFormat(format){
+        var parts = String(format).split(':');
+        var number = function(value){
+            return /^\d+$/.test(value) ? parseInt(value) : value;
+        };
+        if(parts.length === 2){
+            return {sampleRate:number(parts[0]), bits:null, channels:number(parts[1])};
+        }
+        return {sampleRate:number(parts[0]), bits:valueOrNull(number(parts[1])), channels:valueOrNull(number(parts[2]))};
+    }
+
+
+    /**
+     * converts an string to a Date
+     * @private
+     */
+    function parseDate(source){
+        var value = null;
+        var matches = null;
+        if(matches = source.match(/(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})Z/)){
+            value = new Date();
+            value.setFullYear(parseInt(matches[1],10));
+            value.setMonth(parseInt(matches[2],10)-1);
+            value.setDate(parseInt(matches[3],10));
+            value.setHours(parseInt(matches[4],10));
+            value.setMinutes(parseInt(matches[5],10));
+            value.setSeconds(parseInt(matches[6],10));
+        }
+        return value;
+    }
+
+    /******************\
+    |* public methods *|
+    \******************/
+
+
+    /**
+     * get the current play time
+     * @private
+     */
+    function getCurrentSongTime(){
+        var current_song = getCurrentSong();
+        if(!current_song){
+            return 0;
+        }
+
+        var offset = 0;
+        if(_private.state.playstate === 'play'){
+            var now = new Date();
+
+            offset = (now.getTime() - _private.last_status_update_time.getTime())/1000;
+        }
+
+        var last_time = _private.state.current_song.elapsed_time;
+        last_time = last_time?last_time:0;
+
+        return Math.min(last_time + offset, current_song.getDuration());
+    }
+
+
+    /**
+     * get the song identified by it's position on the current queue, or null
+     * @private
+     */
+    function getSongOnQueue(idx){
+        var song = null;
+        if(idx !== null && _private.state.current_queue !== null && _private.state.current_queue.getSongs()[idx]){
+            song = _private.state.current_queue.getSongs()[idx];
+        }
+        return song;
+    }
+
+
+    /**
+     * get the current song, or null
+     * @private
+     */
+    function getCurrentSong(){
+        return getSongOnQueue(_private.state.current_song.queue_idx);
+    }
+
+
+    /**
+     * get the song next on the queue, or null
+     * @private
+     */
+    function getNextSong(){
+        return getSongOnQueue(_private.state.next_song.queue_idx);
+    }
+
+    /**
+     * make a deep copy of the passed object/array/primitive
+     * @private
+     */
+    function cloneObject(obj){
+        return JSON.parse(JSON.stringify(obj));
+    }
+
+
+    /********\
+    |* INIT *|
+    \********/
+    init();
+    //see I told you it was called down here
+
+    return self;
+
+};
+
+/******************\
+|* static methods *|
+\******************/
+
+/**
+ * return an enum that maps error numbers to something that is almost readable
+ * @instance
+ * @returns {Object}
+ */
+MPD.getErrorCodes = function(){
+    return {
+        ACK_ERROR_NOT_LIST: 1,
+        ACK_ERROR_ARG: 2,
+        ACK_ERROR_PASSWORD: 3,
+        ACK_ERROR_PERMISSION: 4,
+        ACK_ERROR_UNKNOWN: 5,
+        ACK_ERROR_NO_EXIST: 50,
+        ACK_ERROR_PLAYLIST_MAX: 51,
+        ACK_ERROR_SYSTEM: 52,
+        ACK_ERROR_PLAYLIST_LOAD: 53,
+        ACK_ERROR_UPDATE_ALREADY: 54,
+        ACK_ERROR_PLAYER_SYNC: 55,
+        ACK_ERROR_EXIST: 56
+    };
+};
+
+/**
+ * quote a single command argument the way the MPD protocol wants it: in double quotes, with any double quotes and backslashes in it escaped
+ * @static
+ * @throws {Error} an Error if the argument has a line break in it, there is no way to send one of those to MPD
+ * @param {*} value - the argument, it's converted to a string
+ * @returns {String}
+ */
+MPD.escapeArgument = function(value){
+    value = String(value);
+    if(value.match(/[\r\n]/)){
+        throw new Error('command arguments can not contain line breaks');
+    }
+    return '"'+value.replace(/[\\"]/g, '\\$&')+'"';
+};
+
+/**
+ * build a command line that is safe to send to MPD. every argument is escaped with {@link MPD.escapeArgument}
+ * except for numbers, which can't hurt anybody. arguments that are arrays are flattened into the argument list,
+ * undefined and null arguments are left out so optional arguments can just be passed along
+ *
+ * @example
+ * MPD.buildCommand('rename', 'my "best" mix', 'old stuff');
+ * //rename "my \"best\" mix" "old stuff"
+ * MPD.buildCommand('search', ['artist', 'bearsuit', 'album', 'OH:IO']);
+ * //search "artist" "bearsuit" "album" "OH:IO"
+ * @static
+ * @throws {Error} an Error if the command name isn't a plausible MPD command
+ * @param {String} name - the command, i.e. 'add'
+ * @param {...*} [args] - the command's arguments
+ * @returns {String} the command line, without the trailing newline
+ */
+MPD.buildCommand = function(name){
+    if(typeof name !== 'string' || !name.match(/^[a-z_]+$/)){
+        throw new Error("'"+name+"' is not a valid command name");
+    }
+
+    var args = [];
+    for(var i = 1; i<arguments.length; i++){
+        args = args.concat(arguments[i]);
+    }
+
+    var command = name;
+    args.forEach(function(arg){
+        if(typeof arg === 'undefined' || arg === null){
+            return;
+        }
+        if(typeof arg === 'number' && isFinite(arg)){
+            command += ' '+arg;
+        }
+        else{
+            command += ' '+MPD.escapeArgument(arg);
+        }
+    });
+    return command;
+};
+
+/***********\
+|* filters *|
+\***********/
+
+/**
+ * A search filter written in MPD's filter expression syntax (MPD 0.21+). Anything that takes search params takes one of these too.
+ * you won't usually make these yourself, build them with the functions in {@link MPD.filter}
+ * @class Filter
+ * @param {String} expression - the filter expression, i.e. '(artist == "foo")'
+ */
+MPD.Filter = function(expression){
+     /**
+      * @lends Filter
+      */
+     var me = {};
+
+     /**
+      * get the filter expression, as MPD wants it (before it's escaped as a command argument)
+      * @instance
+      * @returns {String}
+      */
+     me.getExpression = function(){
+         return expression;
+     };
+
+     me.toString = me.getExpression;
+
+     return me;
+};
+
+/**
+ * functions for building {@link Filter}s. values are quoted and escaped for you, so they can be whatever the user typed.
+ * note MPD can only compare tags for (in)equality, substrings and regular expressions, not greater or less than,
+ * so there is no tag('date').gte('1990'). a regular expression can often stand in for it (below), and for times there is modifiedSince and addedSince
+ *
+ * @example
+ * var filter = MPD.filter;
+ * client.search(filter.and(
+ *     filter.tag('artist').eq('Bearsuit'),
+ *     filter.tag('date').regex('^199'),
+ *     filter.not(filter.base('Podcasts'))
+ * ));
+ * @namespace
+ */
+MPD.filter = {
+    /**
+     * compare a tag, 'any' matches any tag and 'file' the song's path
+     * @memberof MPD.filter
+     * @param {String} name - the tag, see {@link MPD#getTagTypes}
+     * @returns {Object} with eq, ne, contains, containsCi (ignoring case, MPD 0.24+), startsWith (MPD 0.24+), regex and notRegex functions, each taking the value and returning a {@link Filter}
      */
-    function loadEverything(reload){
-        setInited(false);
-
-        //this loads all of the data from the MPD server we need
-        //it gets the queue first, then the state (because the state references the queue),
-        //then all of the other data that shouldn't change without MPD going down in no particular order
-        issueCommands(
-            [
-                {
-                    command:'playlistinfo',
-                    handler:queueHandler,
-                    error:cancelLoad
-                },
-                {
-                    command:'status',
-                    handler:stateHandler,
-                    error:cancelLoad
-                },
-                {
-                    command:'tagtypes',
-                    handler:tagHandler,
-                    error:cancelLoad
-                },
-                {
-                    command:'outputs',
-                    handler:outputHandler,
-                    error:cancelLoad
-                },
-                {
-                    command:'listplaylists',
-                    handler:playlistsHandler,
-                    error:cancelLoad
-                },
-                function(){
-                    setInited(true);
-                    callHandler('DataLoaded',_private.state);
-                }
-            ],
-            reload === true
-        );
-    }
+    tag: function(name){
+        if(typeof name !== 'string' || !name.match(/^[A-Za-z][A-Za-z0-9_-]*$/)){
+            throw new Error("'"+name+"' is not a valid tag name");
+        }
+        var compare = function(operator){
+            return function(value){
+                return MPD.Filter('('+name+' '+operator+' '+MPD.escapeArgument(value)+')');
+            };
+        };
+        return {
+            eq: compare('=='),
+            ne: compare('!='),
+            contains: compare('contains'),
+            containsCi: compare('contains_ci'),
+            startsWith: compare('starts_with'),
+            regex: compare('=~'),
+            notRegex: compare('!~')
+        };
+    },
 
     /**
-     * deal with getting an error during initial data load
+     * only songs in a directory (and the ones under it)
+     * @memberof MPD.filter
+     * @param {String} path - the directory, relative to MPD's music directory
+     * @returns {Filter}
      */
-    function cancelLoad(error){
-        _private.socket.close();
-        _private.commandHandlers = [];
-        _private.command_queue = [];
-        _private.state.connected = false;
-        defaultErrorHandler(error);
-    }
+    base: function(path){
+        return MPD.Filter('(base '+MPD.escapeArgument(path)+')');
+    },
 
+    /**
+     * only songs whose file has changed since a point in time
+     * @memberof MPD.filter
+     * @param {(Date|Number|String)} time - a Date, seconds since the epoch or an ISO 8601 string
+     * @returns {Filter}
+     */
+    modifiedSince: function(time){
+        if(Object.prototype.toString.call(time) === '[object Date]'){
+            time = time.toISOString().replace(/\.\d+Z$/, 'Z');
+        }
+        return MPD.Filter('(modified-since '+MPD.escapeArgument(time)+')');
+    },
 
-    /**********\
-    |* events *|
-    \**********/
+    /**
+     * only songs that were added to the database since a point in time (MPD 0.24+).
+     * this and modifiedSince are the only greater than comparisons MPD has, tags can't be compared that way
+     * @memberof MPD.filter
+     * @param {(Date|Number|String)} time - a Date, seconds since the epoch or an ISO 8601 string
+     * @returns {Filter}
+     */
+    addedSince: function(time){
+        if(Object.prototype.toString.call(time) === '[object Date]'){
+            time = time.toISOString().replace(/\.\d+Z$/, 'Z');
+        }
+        return MPD.Filter('(added-since '+MPD.escapeArgument(time)+')');
+    },
 
+    /**
+     * only songs in an audio format. parts that are left out (or '*') match anything
+     *
+     * @example
+     * MPD.filter.audioFormat({sampleRate:44100, channels:2});
+     * MPD.filter.audioFormat('96000:24:2');
+     * @memberof MPD.filter
+     * @param {(audioFormat|String)} format - an {@link audioFormat} or MPD's samplerate:bits:channels
+     * @returns {Filter}
+     */
+    audioFormat: function(format){
+        if(typeof format === 'object' && format !== null){
+            var part = function(value){
+                return (typeof value === 'undefined' || value === null) ? '*' : value;
+            };
+            format = part(format.sampleRate)+':'+part(format.bits)+':'+part(format.channels);
+        }
+        format = String(format);
+        var operator = (format.indexOf('*') === -1) ? '==' : '=~';
+        return MPD.Filter('(AudioFormat '+operator+' '+MPD.escapeArgument(format)+')');
+    },
 
     /**
-     * call all event handlers for the specified event
-     * @private
+     * songs that match every one of the filters
+     * @memberof MPD.filter
+     * @param {...Filter} filter
+     * @returns {Filter}
      */
-    function callHandler(event_name, args, uncached){
-        if(!_private.inited && !uncached){
-            var event_obj = {};
-            event_obj[event_name] = args;
-            _private.queued_events.push(event_obj);
-            return;
+    and: function(){
+        var filters = Array.prototype.slice.call(arguments);
+        if(filters.length === 0){
+            throw new Error('and needs at least one filter');
         }
+        filters.forEach(function(filter){
+            if(!filter || typeof filter.getExpression !== 'function'){
+                throw new Error("'"+filter+"' is not a filter");
+            }
+        });
+        if(filters.length === 1){
+            return filters[0];
+        }
+        return MPD.Filter('('+filters.map(function(filter){
+            return filter.getExpression();
+        }).join(' AND ')+')');
+    },
 
-        var handler_name = 'on'+event_name;
+    /**
+     * songs that don't match the filter
+     * @memberof MPD.filter
+     * @param {Filter} filter
+     * @returns {Filter}
+     */
+    not: function(filter){
+        return MPD.Filter('(!'+MPD.filter.and(filter).getExpression()+')');
+    }
+};
 
-        if(!_private.handlers[handler_name]){
-            handler_name = 'onUnhandledEvent';
-        }
+/**********\
+|* errors *|
+\**********/
 
-        if(_private.handlers[handler_name]){
-            _private.handlers[handler_name].forEach(function(func){
-                try{
-                    func(args, self);
-                }
-                catch(err){
-                    callHandler('Error', err, true);
-                }
-            });
-        }
+/**
+ * An error MPD reported back to us (an ACK), the code is one of the values from {@link MPD.getErrorCodes}.
+ * Errors with codes we know something about are one of the more specific subclasses, so you can check them with instanceof.
+ *
+ * @example
+ * client.renamePlaylist('old', 'new').catch(function(error){
+ *     if(error instanceof MPD.ExistError){
+ *         //there's already a playlist called 'new'
+ *     }
+ * });
+ * @class MPDError
+ * @augments Error
+ * @param {Object} ack - the ACK as MPD reported it
+ * @param {Integer} ack.code - numeric error code
+ * @param {Integer} ack.line - position of the failing command in the command list
+ * @param {String} ack.command - name of the failing command
+ * @param {String} ack.message - human readable description of the error
+ * @param {String} [command_text] - the full text of the command that failed
+ */
+MPD.MPDError = function(ack, command_text){
+    this.name = 'MPDError';
+    this.message = ack.message;
+    this.stack = (new Error(ack.message)).stack;
 
-        if(event_name !== 'Event'){
-            callHandler('Event', {type:event_name, data:args}, uncached);
+    /**
+     * numeric error code
+     * @member {Integer}
+     */
+    this.code = ack.code;
+
+    /**
+     * the symbolic name of the error code, i.e. 'ACK_ERROR_NO_EXIST', null if we've never heard of it
+     * @member {?String}
+     */
+    this.code_name = null;
+    var error_codes = MPD.getErrorCodes();
+    for(var code_name in error_codes){
+        if(error_codes[code_name] === ack.code){
+            this.code_name = code_name;
         }
     }
 
+    /**
+     * position of the failing command in the command list it was sent as part of
+     * @member {Integer}
+     */
+    this.line = ack.line;
+
+    /**
+     * name of the failing command, as MPD reported it
+     * @member {String}
+     */
+    this.command = ack.command;
 
     /**
-     * add an event handler
-     * @private
+     * the full text of the failing command, as we sent it
+     * @member {?String}
      */
-    function on(event_name, handler){
+    this.command_text = (typeof command_text === 'undefined') ? null : command_text;
+};
+MPD.MPDError.prototype = Object.create(Error.prototype);
+MPD.MPDError.prototype.constructor = MPD.MPDError;
 
-        var acceptable_handlers = ['Error', 'Event', 'UnhandledEvent', 'DatabaseChanging', 'AuthFailure', 'DataLoaded', 'StateChanged', 'OutputChanged', 'QueueChanged', 'PlaylistsChanged', 'PlaylistChanged','Connect', 'Disconnect'];
+/**
+ * make the right kind of MPDError for the given ACK
+ * @param {Object} ack - {code, line, command, message} as parsed from MPD's ACK line
+ * @param {String} [command_text] - the full text of the command that failed
+ * @returns {MPDError}
+ */
+MPD.MPDError.fromAck = function(ack, command_text){
+    var error_codes = MPD.getErrorCodes();
+    switch(ack.code){
+        case error_codes.ACK_ERROR_ARG:
+            return new MPD.ArgumentError(ack, command_text);
+        case error_codes.ACK_ERROR_PASSWORD:
+            return new MPD.PasswordError(ack, command_text);
+        case error_codes.ACK_ERROR_PERMISSION:
+            return new MPD.PermissionError(ack, command_text);
+        case error_codes.ACK_ERROR_UNKNOWN:
+            return new MPD.UnknownCommandError(ack, command_text);
+        case error_codes.ACK_ERROR_NO_EXIST:
+            return new MPD.NoExistError(ack, command_text);
+        case error_codes.ACK_ERROR_EXIST:
+            return new MPD.ExistError(ack, command_text);
+        default:
+            return new MPD.MPDError(ack, command_text);
+    }
+};
 
-        if(acceptable_handlers.indexOf(event_name) === -1){
-            throw new Error("'"+event_name+"' is not a supported event");
-        }
+/**
+ * a command was given bad arguments (ACK_ERROR_ARG)
+ * @class ArgumentError
+ * @augments MPDError
+ */
+MPD.ArgumentError = function(ack, command_text){
+    MPD.MPDError.call(this, ack, command_text);
+    this.name = 'ArgumentError';
+};
+MPD.ArgumentError.prototype = Object.create(MPD.MPDError.prototype);
+MPD.ArgumentError.prototype.constructor = MPD.ArgumentError;
 
+/**
+ * we aren't allowed to do that (ACK_ERROR_PERMISSION), these are reported through the 'AuthFailure' event
+ * @class PermissionError
+ * @augments MPDError
+ */
+MPD.PermissionError = function(ack, command_text){
+    MPD.MPDError.call(this, ack, command_text);
+    this.name = 'PermissionError';
+};
+MPD.PermissionError.prototype = Object.create(MPD.MPDError.prototype);
+MPD.PermissionError.prototype.constructor = MPD.PermissionError;
 
-        //bind the passed method to the client interface
-        handler = handler.bind(self);
+/**
+ * the password was wrong (ACK_ERROR_PASSWORD)
+ * @class PasswordError
+ * @augments PermissionError
+ */
+MPD.PasswordError = function(ack, command_text){
+    MPD.PermissionError.call(this, ack, command_text);
+    this.name = 'PasswordError';
+};
+MPD.PasswordError.prototype = Object.create(MPD.PermissionError.prototype);
+MPD.PasswordError.prototype.constructor = MPD.PasswordError;
 
-        var handler_name = 'on'+event_name;
-        if(_private.handlers[handler_name]){
-            _private.handlers[handler_name].push(handler);
-        }
-        else{
-            _private.handlers[handler_name] = [handler];
-        }
-    }
+/**
+ * MPD doesn't know that command (ACK_ERROR_UNKNOWN), probably the server is older than the command
+ * @class UnknownCommandError
+ * @augments MPDError
+ */
+MPD.UnknownCommandError = function(ack, command_text){
+    MPD.MPDError.call(this, ack, command_text);
+    this.name = 'UnknownCommandError';
+};
+MPD.UnknownCommandError.prototype = Object.create(MPD.MPDError.prototype);
+MPD.UnknownCommandError.prototype.constructor = MPD.UnknownCommandError;
 
-    /*******************\
-    |* utility methods *|
-    \*******************/
+/**
+ * the song/playlist/directory/etc. doesn't exist (ACK_ERROR_NO_EXIST)
+ * @class NoExistError
+ * @augments MPDError
+ */
+MPD.NoExistError = function(ack, command_text){
+    MPD.MPDError.call(this, ack, command_text);
+    this.name = 'NoExistError';
+};
+MPD.NoExistError.prototype = Object.create(MPD.MPDError.prototype);
+MPD.NoExistError.prototype.constructor = MPD.NoExistError;
+
+/**
+ * something by that name already exists (ACK_ERROR_EXIST), i.e. saving a playlist with a name that is already used
+ * @class ExistError
+ * @augments MPDError
+ */
+MPD.ExistError = function(ack, command_text){
+    MPD.MPDError.call(this, ack, command_text);
+    this.name = 'ExistError';
+};
+MPD.ExistError.prototype = Object.create(MPD.MPDError.prototype);
+MPD.ExistError.prototype.constructor = MPD.ExistError;
+
+/**
+ * MPD didn't answer a command in time (see the commandTimeout option). this isn't an ACK, so code and line are null.
+ * the connection is dropped when this happens, because there's no telling what MPD will send back now
+ * @class TimeoutError
+ * @augments MPDError
+ * @param {String} command_text - the full text of the command that timed out
+ * @param {Integer} timeout - how long we waited, in milliseconds
+ */
+MPD.TimeoutError = function(command_text, timeout){
+    MPD.MPDError.call(this, {
+        code: null,
+        line: null,
+        command: command_text.split(' ')[0],
+        message: "MPD didn't answer '"+command_text.split(' ')[0]+"' within "+timeout+'ms'
+    }, command_text);
+    this.name = 'TimeoutError';
 
     /**
-     * logging function
-     * @private
+     * how long we waited, in milliseconds
+     * @member {Integer}
      */
-    function log(message){
-      if(_private.do_logging){
-        console.log("MPD Client: "+message);
-      }
-    }
+    this.timeout = timeout;
+};
+MPD.TimeoutError.prototype = Object.create(MPD.MPDError.prototype);
+MPD.TimeoutError.prototype.constructor = MPD.TimeoutError;
+
+/**
+ * the command was cancelled (it's AbortSignal was aborted) before it was sent. this isn't an ACK, so code and line are null
+ * @class AbortError
+ * @augments MPDError
+ * @param {String} command_text - the full text of the command that was cancelled
+ */
+MPD.AbortError = function(command_text){
+    MPD.MPDError.call(this, {
+        code: null,
+        line: null,
+        command: command_text.split(' ')[0],
+        message: "'"+command_text.split(' ')[0]+"' was cancelled before it was sent"
+    }, command_text);
+    this.name = 'AbortError';
+};
+MPD.AbortError.prototype = Object.create(MPD.MPDError.prototype);
+MPD.AbortError.prototype.constructor = MPD.AbortError;
+
+/**
+ * the command couldn't be sent, or it's answer won't ever come, because the client isn't connected: the connection was lost,
+ * or the client was disconnected (or destroyed). this isn't an ACK, so code and line are null
+ * @class ConnectionError
+ * @augments MPDError
+ * @param {String} message - what happened to the connection
+ * @param {String} [command_text] - the full text of the command that failed, if it was a command
+ */
+MPD.ConnectionError = function(message, command_text){
+    MPD.MPDError.call(this, {
+        code: null,
+        line: null,
+        command: (typeof command_text === 'undefined') ? null : command_text.split(' ')[0],
+        message: message
+    }, command_text);
+    this.name = 'ConnectionError';
+};
+MPD.ConnectionError.prototype = Object.create(MPD.MPDError.prototype);
+MPD.ConnectionError.prototype.constructor = MPD.ConnectionError;
+
+/**
+ * the command was never run, because a command that was issued along with it (and before it) failed. this isn't an ACK, so code and line are null
+ * @class NotExecutedError
+ * @augments MPDError
+ * @param {String} command_text - the full text of the command that wasn't run
+ * @param {MPDError} cause - the error of the command that failed
+ */
+MPD.NotExecutedError = function(command_text, cause){
+    MPD.MPDError.call(this, {
+        code: null,
+        line: null,
+        command: command_text.split(' ')[0],
+        message: "'"+command_text.split(' ')[0]+"' was not run because '"+cause.command+"' failed: "+cause.message
+    }, command_text);
+    this.name = 'NotExecutedError';
 
     /**
-     * private method that gets the right websocket URL
-     * @private
+     * the error of the command that failed
+     * @member {MPDError}
      */
-    function getAppropriateWsUrl()
-    {
-      var protocol = '';
-      var url = _host;
-      if(typeof url === 'undefined'){
-          //change the url so it points to the root
-          _host = url = document.URL.replace(/((?:https?:\/\/)?[^\/]+).*/, '$1');
-      }
+    this.cause = cause;
+};
+MPD.NotExecutedError.prototype = Object.create(MPD.MPDError.prototype);
+MPD.NotExecutedError.prototype.constructor = MPD.NotExecutedError;
 
-      /*
-       * We open the websocket encrypted if this page came on an
-       * https:// url itself, otherwise unencrypted
-       */
+/**
+ * gets the right websocket URL for the given host and port
+ * websockets are opened encrypted if the host is an https:// (or wss://) url, otherwise unencrypted
+ * @static
+ * @param {String} host - host name or url of the page/server to connect to
+ * @param {Integer} [port] - port to connect on, if not given the port of the host url (if any) is used
+ * @returns {String} a ws:// or wss:// url
+ */
+MPD.getWebSocketUrl = function(host, port){
+    var protocol = '';
+    var url = host;
+
+    //figure out protocol to use
+    if(url.substring(0, 5) == "https"){
+        protocol = "wss://";
+        url = url.substr(8);
+    }
+    else if(url.substring(0, 3) == "wss"){
+        protocol = "wss://";
+        url = url.substr(6);
+    }
+    else{
+        protocol = "ws://";
+        url = url.replace(/^\w+:\/\//, '');
+    }
 
-      //figure out protocol to use
-      if(url.substring(0, 5) == "https"){
-          protocol = "wss://";
-          url = url.substr(8);
-      }
-      else if(url.substring(0, 3) == "wss"){
-          protocol = "wss://";
-          url = url.substr(6);
-      }
-      else{
-          protocol = "ws://";
-          url = url.replace(/^\w+:\/\//, '');
-      }
+    url = protocol+url;
 
-      url = protocol+url;
+    if(port){
+      //use the port this client was initialized with
+      url = url.replace(/:\d*$/,'')+':'+port;
+    }
 
-      if(_port){
-        //use the port this client was initialized with
-        url = url.replace(/:\d*$/,'')+':'+_port;
-      }
+    return url;
+};
 
-      return url;
+/**
+ * get the transport a client uses if it isn't told to use anything else:
+ * MPD.NetSocketTransport under Node.js, MPD.WebsockTransport in a browser
+ * @static
+ * @returns {transportFactory}
+ */
+MPD.getDefaultTransport = function(){
+    if(typeof Websock === 'undefined' && typeof window === 'undefined' && typeof require === 'function'){
+        return MPD.NetSocketTransport;
     }
+    return MPD.WebsockTransport;
+};
 
+/**************\
+|* transports *|
+\**************/
 
+/**
+ * transport that goes through Websockify's websock.js library (base64.js, util.js and websock.js need to be included)
+ * this is the default transport
+ * @class WebsockTransport
+ * @implements {transport}
+ */
+MPD.WebsockTransport = function(){
     /**
-     * converts an string to a Date
-     * @private
+     * @lends WebsockTransport
      */
-    function parseDate(source){
-        var value = null;
-        var matches = null;
-        if(matches = source.match(/(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})Z/)){
-            value = new Date();
-            value.setFullYear(parseInt(matches[1],10));
-            value.setMonth(parseInt(matches[2],10)-1);
-            value.setDate(parseInt(matches[3],10));
-            value.setHours(parseInt(matches[4],10));
-            value.setMinutes(parseInt(matches[5],10));
-            value.setSeconds(parseInt(matches[6],10));
-        }
-        return value;
-    }
+    var me = {};
 
-    /******************\
-    |* public methods *|
-    \******************/
+    var websocket = new Websock();
+
+    me.on = function(event_name, handler){
+        websocket.on(event_name, handler);
+    };
+
+    me.open = function(host, port){
+        websocket.open(MPD.getWebSocketUrl(host, port));
+    };
+
+    me.send = function(str){
+        websocket.send_string(str);
+    };
 
+    me.receive = function(){
+        return websocket.rQshiftStr();
+    };
+
+    me.receiveBytes = function(){
+        return new Uint8Array(websocket.rQshiftBytes());
+    };
+
+    me.close = function(){
+        websocket.close();
+    };
+
+    return me;
+};
 
+/**
+ * transport that uses the browser's native WebSocket, talks to websockify using it's 'binary' subprotocol
+ * use this if you don't want to include websock.js
+ * @class WebSocketTransport
+ * @implements {transport}
+ */
+MPD.WebSocketTransport = function(){
     /**
-     * get the current play time
-     * @private
+     * @lends WebSocketTransport
      */
-    function getCurrentSongTime(){
-        var current_song = getCurrentSong();
-        if(!current_song){
-            return 0;
-        }
+    var me = {};
 
-        var offset = 0;
-        if(_private.state.playstate === 'play'){
-            var now = new Date();
+    var websocket = null;
+    var handlers = {};
+    var chunks = [];
+    var decoder = new TextDecoder('utf-8');
+
+    me.on = function(event_name, handler){
+        handlers[event_name] = handler;
+    };
+
+    me.open = function(host, port){
+        websocket = new WebSocket(MPD.getWebSocketUrl(host, port), ['binary']);
+        websocket.binaryType = 'arraybuffer';
+
+        websocket.onopen = function(event){
+            fire('open', event);
+        };
+        websocket.onmessage = function(event){
+            if(typeof event.data === 'string'){
+                chunks.push(new TextEncoder().encode(event.data));
+            }
+            else{
+                chunks.push(new Uint8Array(event.data));
+            }
+            fire('message', event);
+        };
+        websocket.onclose = function(event){
+            fire('close', event);
+        };
+    };
 
-            offset = (now.getTime() - _private.last_status_update_time.getTime())/1000;
-        }
+    me.send = function(str){
+        websocket.send(new TextEncoder().encode(str));
+    };
 
-        var last_time = _private.state.current_song.elapsed_time;
-        last_time = last_time?last_time:0;
+    me.receive = function(){
+        return decoder.decode(me.receiveBytes(), {stream:true});
+    };
 
-        return Math.min(last_time + offset, current_song.getDuration());
-    }
+    me.receiveBytes = function(){
+        var length = 0;
+        chunks.forEach(function(chunk){
+            length += chunk.length;
+        });
+        var ret = new Uint8Array(length);
+        var position = 0;
+        chunks.forEach(function(chunk){
+            ret.set(chunk, position);
+            position += chunk.length;
+        });
+        chunks = [];
+        return ret;
+    };
 
+    me.close = function(){
+        websocket.close();
+    };
 
     /**
-     * get the song identified by it's position on the current queue, or null
-     * @private
+     * call the handler for the given event, if there is one
      */
-    function getSongOnQueue(idx){
-        var song = null;
-        if(idx !== null && _private.state.current_queue.getSongs()[idx]){
-            song = _private.state.current_queue.getSongs()[idx];
+    function fire(event_name, event){
+        if(handlers[event_name]){
+            handlers[event_name](event);
         }
-        return song;
     }
 
+    return me;
+};
 
+/**
+ * transport that talks to MPD directly over a raw TCP or Unix socket, no websockify needed. Node.js only.
+ * if the host starts with a '/' it is taken to be the path to a Unix socket (i.e. /run/mpd/socket), otherwise it is a host name
+ *
+ * @example
+ * var MPD = require('./mpd.js');
+ * var tcp_client = MPD(6600, 'localhost');
+ * var unix_client = MPD(null, '/run/mpd/socket');
+ * @class NetSocketTransport
+ * @implements {transport}
+ */
+MPD.NetSocketTransport = function(){
     /**
-     * get the current song, or null
-     * @private
+     * @lends NetSocketTransport
      */
-    function getCurrentSong(){
-        return getSongOnQueue(_private.state.current_song.queue_idx);
-    }
+    var me = {};
+
+    var net = require('net');
+    var socket = null;
+    var handlers = {};
+    var chunks = [];
+    var decoder = new TextDecoder('utf-8');
 
+    me.on = function(event_name, handler){
+        handlers[event_name] = handler;
+    };
+
+    me.open = function(host, port){
+        if(host.charAt(0) === '/'){
+            socket = net.connect({path:host});
+        }
+        else{
+            socket = net.connect({host:host, port:port ? port : 6600});
+        }
+
+        socket.on('connect', function(){
+            fire('open');
+        });
+        socket.on('data', function(data){
+            chunks.push(data);
+            fire('message');
+        });
+        var socket_error = null;
+        socket.on('error', function(error){
+            //a 'close' always follows an 'error', pass it along with that so the client can tell a wrong host (or path) from a dropped connection
+            socket_error = error;
+        });
+        socket.on('close', function(){
+            fire('close', socket_error);
+        });
+    };
+
+    me.send = function(str){
+        socket.write(str, 'utf8');
+    };
+
+    me.receive = function(){
+        return decoder.decode(me.receiveBytes(), {stream:true});
+    };
+
+    me.receiveBytes = function(){
+        var ret = Buffer.concat(chunks);
+        chunks = [];
+        return ret;
+    };
+
+    me.close = function(){
+        socket.end();
+    };
 
     /**
-     * get the song next on the queue, or null
-     * @private
+     * call the handler for the given event, if there is one
      */
-    function getNextSong(){
-        return getSongOnQueue(_private.state.next_song.queue_idx);
+    function fire(event_name, event){
+        if(handlers[event_name]){
+            handlers[event_name](event);
+        }
     }
 
+    return me;
+};
+
+/**
+ * in-memory transport that never touches the network, for testing or for faking a server
+ * everything the client sends is passed to the responder, which answers by calling push on the transport
+ *
+ * @example
+ * var client = MPD(null, 'localhost', undefined, {
+ *     transport: function(){
+ *         return MPD.LoopbackTransport(function(data, transport){
+ *             if(data === null){
+ *                 transport.push('OK MPD 0.19.0\n');
+ *             }
+ *         });
+ *     }
+ * });
+ * @class LoopbackTransport
+ * @implements {transport}
+ * @param {loopbackResponder} [responder] - function called with everything the client sends, and with null when the connection opens
+ */
+MPD.LoopbackTransport = function(responder){
     /**
-     * make a deep copy of the passed object/array/primitive
-     * @private
+     * @lends LoopbackTransport
      */
-    function cloneObject(obj){
-        return JSON.parse(JSON.stringify(obj));
-    }
+    var me = {};
 
+    var handlers = {};
+    var chunks = [];
+    var decoder = new TextDecoder('utf-8');
+    var is_open = false;
 
-    /********\
-    |* INIT *|
-    \********/
-    init();
-    //see I told you it was called down here
+    me.on = function(event_name, handler){
+        handlers[event_name] = handler;
+    };
 
-    return self;
+    me.open = function(host, port){
+        setTimeout(function(){
+            is_open = true;
+            fire('open');
+            if(responder){
+                responder(null, me);
+            }
+        }, 0);
+    };
 
-};
+    me.send = function(str){
+        if(!is_open){
+            throw new Error('loopback transport is not open');
+        }
+        if(responder){
+            responder(str, me);
+        }
+    };
 
-/******************\
-|* static methods *|
-\******************/
+    me.receive = function(){
+        return decoder.decode(me.receiveBytes(), {stream:true});
+    };
 
-/**
- * return an enum that maps error numbers to something that is almost readable
- * @instance
- * @returns {Object}
- */
-MPD.getErrorCodes = function(){
-    return {
-        ACK_ERROR_NOT_LIST: 1,
-        ACK_ERROR_ARG: 2,
-        ACK_ERROR_PASSWORD: 3,
-        ACK_ERROR_PERMISSION: 4,
-        ACK_ERROR_UNKNOWN: 5,
-        ACK_ERROR_NO_EXIST: 50,
-        ACK_ERROR_PLAYLIST_MAX: 51,
-        ACK_ERROR_SYSTEM: 52,
-        ACK_ERROR_PLAYLIST_LOAD: 53,
-        ACK_ERROR_UPDATE_ALREADY: 54,
-        ACK_ERROR_PLAYER_SYNC: 55,
-        ACK_ERROR_EXIST: 56
+    me.receiveBytes = function(){
+        var length = 0;
+        chunks.forEach(function(chunk){
+            length += chunk.length;
+        });
+        var ret = new Uint8Array(length);
+        var position = 0;
+        chunks.forEach(function(chunk){
+            ret.set(chunk, position);
+            position += chunk.length;
+        });
+        chunks = [];
+        return ret;
+    };
+
+    me.close = function(){
+        if(!is_open){
+            return;
+        }
+        is_open = false;
+        setTimeout(function(){
+            fire('close');
+        }, 0);
+    };
+
+    /**
+     * deliver data to the client as if the server had sent it
+     * @instance
+     * @param {(String|Uint8Array)} data - raw protocol text, i.e. "OK\n", or bytes (for binary responces)
+     */
+    me.push = function(data){
+        chunks.push(typeof data === 'string' ? new TextEncoder().encode(data) : data);
+        fire('message');
     };
+
+    /**
+     * call the handler for the given event, if there is one
+     */
+    function fire(event_name, event){
+        if(handlers[event_name]){
+            handlers[event_name](event);
+        }
+    }
+
+    return me;
 };
 
 /******************\
@@ -2108,6 +5575,55 @@ MPD.Song = function(client, source){
          return source.disk;
      };
 
+     /**
+      * get one of this song's stickers, see {@link MPD#stickers}
+      * @instance
+      * @param {String} name - the sticker
+      * @returns {Promise} resolves with the value, or null if the song doesn't have that sticker
+      */
+     me.getSticker = function(name){
+         return client.stickers.get(me.getPath(), name);
+     };
+
+     /**
+      * get all of this song's stickers, see {@link MPD#stickers}
+      * @instance
+      * @returns {Promise} resolves with {name => value}
+      */
+     me.getStickers = function(){
+         return client.stickers.list(me.getPath());
+     };
+
+     /**
+      * give this song a sticker, see {@link MPD#stickers}
+      * @instance
+      * @param {String} name - the sticker
+      * @param {String} value
+      * @returns {Promise} resolves once MPD has done it
+      */
+     me.setSticker = function(name, value){
+         return client.stickers.set(me.getPath(), name, value);
+     };
+
+     /**
+      * take a sticker off of this song, see {@link MPD#stickers}
+      * @instance
+      * @param {String} name - the sticker
+      * @returns {Promise} resolves once MPD has done it
+      */
+     me.deleteSticker = function(name){
+         return client.stickers.delete(me.getPath(), name);
+     };
+
+     /**
+      * get this song's cover art, see {@link MPD#getAlbumArt}
+      * @instance
+      * @returns {Promise} resolves with {data, type} (a Buffer or Blob and it's MIME type), or null if there is no cover art
+      */
+     me.getCoverArt = function(){
+         return client.getAlbumArt(me.getPath());
+     };
+
      /**
       * if this song is on the Queue, get the QueueSong
       * @instance
@@ -2420,22 +5936,22 @@ MPD.Playlist = function(client, source){
     var me = MPD.Songlist(client, source);
 
     me.addSongByFile = function(pathname){
-        client.addSongToPlaylistByFile(me.getName(), pathname);
+        return client.addSongToPlaylistByFile(me.getName(), pathname);
     };
     me.clear = function(){
-        client.clearPlaylist(me.getName());
+        return client.clearPlaylist(me.getName());
     };
     me.removeSongByPosition = function(position){
-        client.removeSongFromPlaylistByPosition(me.getName(), position);
+        return client.removeSongFromPlaylistByPosition(me.getName(), position);
     };
     me.moveSongByPosition = function(position, to){
-        client.moveSongOnPlaylistByPosition(me.getName(), position, to);
+        return client.moveSongOnPlaylistByPosition(me.getName(), position, to);
     };
     me.swapSongsByPosition = function(position_a, position_b){
         var first = Math.min(position_a, position_b);
         var last = Math.max(position_a, position_b);
         me.moveSongByPosition(first,last);
-        me.moveSongByPosition(last,first);
+        return me.moveSongByPosition(last,first);
     };
 
     /**
@@ -2444,8 +5960,9 @@ MPD.Playlist = function(client, source){
      * @param {String} new_name -- the name this playlist should answer to from now on
      */
     me.rename = function(new_name){
-        client.renamePlaylist(me.getName(), new_name);
+        var ret = client.renamePlaylist(me.getName(), new_name);
         source.playlist = new_name;
+        return ret;
     };
 
     /**
@@ -2461,14 +5978,14 @@ MPD.Playlist = function(client, source){
      * append to queue
      */
     me.appendToQueue = function(){
-        client.appendPlaylistToQueue(source.playlist);
+        return client.appendPlaylistToQueue(source.playlist);
     }
 
     /**
      * load into queue
      */
     me.loadIntoQueue = function(){
-        client.loadPlaylistIntoQueue(source.playlist);
+        return client.loadPlaylistIntoQueue(source.playlist);
     }
 
     /**
@@ -2477,7 +5994,7 @@ MPD.Playlist = function(client, source){
      * but it will still have a clientside cache of what was in this playlist
      */
     me.delete = function(){
-        client.deletePlaylist(source.playlist);
+        return client.deletePlaylist(source.playlist);
     }
 
     /**
@@ -2503,19 +6020,19 @@ MPD.Queue = function(client, source){
    var me = MPD.Songlist(client, source);
 
    me.addSongByFile = function(pathname){
-       client.addSongToQueueByFile(pathname);
+       return client.addSongToQueueByFile(pathname);
    };
    me.clear = function(){
-       client.clearQueue();
+       return client.clearQueue();
    };
    me.removeSongByPosition = function(position){
-       client.removeSongFromQueueByPosition(position);
+       return client.removeSongFromQueueByPosition(position);
    };
    me.moveSongByPosition = function(position, to){
-       client.moveSongOnQueueByPosition(position, to);
+       return client.moveSongOnQueueByPosition(position, to);
    };
    me.swapSongsByPosition = function(position_a, position_b){
-       client.swapSongsOnQueueByPosition(position_a, position_b);
+       return client.swapSongsOnQueueByPosition(position_a, position_b);
    };
 
    /**
@@ -2611,6 +6128,132 @@ MPD.Output = function(client, source){
      */
 }
 
+/**
+ * Pages through the results of a search, see {@link MPD#paginateSearch}.
+ * the total is counted once (the first time it's needed), make a new one if the database changes
+ * @class SearchPaginator
+ * @param {MPD} client - the MPD client object that owns this
+ * @param {(Object|Filter)} params - what to search for, same as {@link MPD#search}
+ * @param {Object} [options] - sort, pageSize and exact, see {@link MPD#paginateSearch}
+ */
+MPD.SearchPaginator = function(client, params, options){
+     /**
+      * @lends SearchPaginator
+      */
+     var me = {};
+
+     options = options ? options : {};
+     var page_size = options.pageSize ? options.pageSize : 100;
+     var total = null;
+
+     /**
+      * get how many songs there are in all of the pages, with a single count.
+      * MPD's count matches exactly though, so for search it's given a filter that matches substrings like search does.
+      * search also ignores case, which count can only do on MPD 0.24+, older servers count case sensitively
+      * @instance
+      * @returns {Promise} resolves with the number of songs, rejects with an {@link MPDError} if it failed
+      */
+     me.getTotal = function(){
+         if(total === null){
+             var count_params = params;
+             if(!options.exact){
+                 try{
+                     count_params = getSearchFilter();
+                 }
+                 catch(error){
+                     //no params, or a key that isn't a tag name
+                     return Promise.reject(new MPD.ArgumentError({
+                         code: null,
+                         line: null,
+                         command: 'count',
+                         message: error.message
+                     }));
+                 }
+             }
+             total = client.searchCount(count_params).catch(function(error){
+                 total = null; //try again next time
+                 throw error;
+             });
+         }
+         return total;
+     };
+
+     /**
+      * turn the search params into a filter that count will match the same way search does
+      * @private
+      */
+     var getSearchFilter = function(){
+         if(typeof params.getExpression === 'function'){
+             return params;
+         }
+         var version = (client.getProtocolVersion() || '').split('.');
+         var ignore_case = parseInt(version[0], 10) > 0 || parseInt(version[1], 10) >= 24;
+         var filters = [];
+         for(var key in params){
+             if(key === 'base'){
+                 filters.push(MPD.filter.base(params[key]));
+             }
+             else if(key === 'modified-since'){
+                 filters.push(MPD.filter.modifiedSince(params[key]));
+             }
+             else if(key === 'added-since'){
+                 filters.push(MPD.filter.addedSince(params[key]));
+             }
+             else{
+                 var tag = MPD.filter.tag(key);
+                 filters.push(ignore_case ? tag.containsCi(params[key]) : tag.contains(params[key]));
+             }
+         }
+         return MPD.filter.and.apply(MPD.filter, filters);
+     };
+
+     /**
+      * get how many songs are on a page
+      * @instance
+      * @returns {Integer}
+      */
+     me.getPageSize = function(){
+         return page_size;
+     };
+
+     /**
+      * get how many pages there are
+      * @instance
+      * @returns {Promise} resolves with the number of pages, rejects with an {@link MPDError} if it failed
+      */
+     me.getPageCount = function(){
+         return me.getTotal().then(function(count){
+             return Math.ceil(count/page_size);
+         });
+     };
+
+     /**
+      * get the songs on a page
+      * @instance
+      * @param {Integer} page - which page, starting at 0
+      * @returns {Promise} resolves with an array of songs (empty if there is no such page), rejects with an {@link MPDError} if it failed
+      */
+     me.getPage = function(page){
+         var search_options = {
+             sort:options.sort,
+             window:[page*page_size, (page+1)*page_size]
+         };
+         return options.exact ? client.find(params, search_options) : client.search(params, search_options);
+     };
+
+     return me;
+}
+
+/***********\
+|* exports *|
+\***********/
+
+//in a browser MPD is just a global, under Node.js (or anything else CommonJS) it's the module
+if(typeof module !== 'undefined' && module.exports){
+    module.exports = MPD;
+    module.exports.MPD = MPD;
+}
+
 /**
  * Is passed a playlist
  * @callback playlistCallback
@@ -2625,6 +6268,12 @@ MPD.Output = function(client, source){
  * @callback searchResultsCallback
  * @param {song[]} search_results - all of the songs that match the tag values you asked for
  */
+/**
+ * how search results should be sorted and which of them you want
+ * @typedef {Object} searchOptions
+ * @property {String} [sort] - a tag to sort by, starting it with '-' sorts backwards (i.e. '-Date'). 'Last-Modified' works too
+ * @property {Integer[]} [window] - [start, end] the results from start up to (not including) end, leave out end for all of the rest of them
+ */
 /**
  * is passed the number of songs matching the given search criteria
  * @callback searchCountCallback
@@ -2637,7 +6286,7 @@ MPD.Output = function(client, source){
  * @event Error
  * @type {Object}
  * @callback errorEventHandler
- * @param {Object} [responce_event] -
+ * @param {MPDError|Error} [responce_event] - what went wrong, an {@link MPDError} if MPD reported it, a plain Error if one of your handlers threw it
  * @param {MPD} client - the client that this event happened on
  */
  /**
@@ -2646,7 +6295,7 @@ MPD.Output = function(client, source){
   * @event AuthFailure
   * @type {Object}
   * @callback errorEventHandler
-  * @param {Object} [responce_event] -
+  * @param {PermissionError} [responce_event] - the error MPD gave us
   * @param {MPD} client - the client that this event happened on
   */
 /**
@@ -2693,6 +6342,32 @@ MPD.Output = function(client, source){
  * @param {state} state - state object, the same as is returned by getState
  * @param {MPD} client - the client that this event happened on
  */
+/**
+ * event handler for 'SongChanged', 'NextSongChanged', 'VolumeChanged', 'PlaystateChanged', 'Seeked', 'BitrateChanged', 'AudioFormatChanged', 'UpdatingJobChanged', 'PlayerErrorChanged' and 'PartitionChanged' events
+ * these are finer grained than StateChanged, they only happen when the thing they are named for actually changed.
+ * SongChanged and NextSongChanged are given queue song ids, VolumeChanged is 0-1, PlaystateChanged is 'play', 'pause' or 'stop',
+ * Seeked is the play time in seconds (previous is where we expected it to be if nobody had seeked),
+ * BitrateChanged is kbit/s, AudioFormatChanged is an {@link audioFormat}, UpdatingJobChanged is the database update job id, PlayerErrorChanged the error message and PartitionChanged the name of the partition we are in.
+ * any of them can be null when there isn't one
+ * @event SongChanged
+ * @type {Object}
+ * @callback valueChangedEventHandler
+ * @param {Object} change
+ * @param {*} change.previous - what it was
+ * @param {*} change.current - what it is now
+ * @param {MPD} client - the client that this event happened on
+ */
+/**
+ * event handler for 'OptionsChanged' events
+ * one or more of the playback options (repeat, random, single, consume, crossfade, replay gain mode) changed
+ * @event OptionsChanged
+ * @type {Object}
+ * @callback optionsChangedEventHandler
+ * @param {Object} change
+ * @param {Object} change.previous - {repeat:Boolean, random:Boolean, single:Boolean, consume:Boolean, crossfade:Number, replay_gain_mode:String} before
+ * @param {Object} change.current - {repeat:Boolean, random:Boolean, single:Boolean, consume:Boolean, crossfade:Number, replay_gain_mode:String} now
+ * @param {MPD} client - the client that this event happened on
+ */
 /**
  * event handler for 'OutputChanged' events
  * called when an output of the player has changed (enabled/disabled).
@@ -2737,6 +6412,169 @@ MPD.Output = function(client, source){
  * @event Disconnect
  * @type {Object}
  * @callback disconnectEventHandler
- * @param
+ * @param {Arguments} event - whatever the transport closed with, the first of them is the Error (i.e. ECONNREFUSED or ENOENT) if it closed because of one
+ * @param {MPD} client - the client that this event happened on
+ */
+
+/**
+ * The interface MPD.js uses to talk to the server. {@link WebsockTransport}, {@link WebSocketTransport}, {@link NetSocketTransport}
+ * and {@link LoopbackTransport} are provided, but anything that looks like this can be used
+ * @interface transport
+ */
+/**
+ * register the function to call when something happens on the transport, only one handler per event is needed
+ * @function
+ * @name transport#on
+ * @param {String} event_name - 'open', 'message' (there is data to receive) or 'close'
+ * @param {Function} handler - for 'close' it can be passed the Error the connection closed because of, if there was one
+ */
+/**
+ * start connecting, the 'open' event should be fired once connected
+ * @function
+ * @name transport#open
+ * @param {String} host - the host the client was configured with
+ * @param {Integer} [port] - the port the client was configured with
+ */
+/**
+ * send a string to the server
+ * @function
+ * @name transport#send
+ * @param {String} str
+ */
+/**
+ * get (and remove) everything that has been received since the last call
+ * @function
+ * @name transport#receive
+ * @returns {String}
+ */
+/**
+ * optional, get (and remove) everything that has been received since the last call, as bytes.
+ * the client uses this instead of receive if it is there, without it binary responces (album art) can't be read
+ * @function
+ * @name transport#receiveBytes
+ * @returns {Uint8Array}
+ */
+/**
+ * close the connection, the 'close' event should be fired once closed
+ * @function
+ * @name transport#close
+ */
+/**
+ * makes a new, unopened, transport. called every time the client (re)connects
+ * @callback transportFactory
+ * @returns {transport}
+ */
+/**
+ * fake server for a {@link LoopbackTransport}
+ * @callback loopbackResponder
+ * @param {?String} data - what the client sent, null when the connection has just opened
+ * @param {LoopbackTransport} transport - call push on this to respond
+ */
+/**
+ * the format of the audio MPD is playing
+ * @typedef {Object} audioFormat
+ * @property {(Integer|String)} sampleRate - samples per second, i.e. 44100, or the DSD rate, i.e. 'dsd64'
+ * @property {?(Integer|String)} bits - bits per sample, 'f' for floating point, null for DSD
+ * @property {Integer} channels - 2 for stereo
+ */
+/**
+ * everything a client can be configured with, see {@link MPD}
+ * @typedef {Object} clientOptions
+ * @property {String} [host=document.URL] - hostname to connect to, defaults to the domain of the current page (localhost under Node.js)
+ * @property {Integer} [port] - 1-65535, the port to connect to
+ * @property {String} [password] - password to connect with (if needed)
+ * @property {String} [path] - absolute path of MPD's Unix socket (Node.js only), instead of a host and port
+ * @property {transportFactory} [transport=MPD.WebsockTransport] - function that makes the transport used to talk to the server, see {@link transport}. Under Node.js this defaults to MPD.NetSocketTransport
+ * @property {(reconnectPolicy|Boolean)} [reconnect=true] - how to go about reconnecting when the connection is lost, false to not reconnect at all
+ * @property {(heartbeatPolicy|Boolean)} [heartbeat=true] - how to go about noticing the connection has silently died, false to not check
+ * @property {Object} [throttle] - {command name: milliseconds}, send those commands no more often than that, i.e. {seekid:250}. if more come in the meantime only the last one is sent.
+ * only setvol, seekid, seekcur, crossfade and mixrampdb can be throttled, and relative seeks never are
+ * @property {Integer} [commandTimeout=30000] - milliseconds to wait for MPD to answer a command, 0 to wait forever. if it takes longer the command fails with a {@link TimeoutError} and the connection is dropped (and reconnected, if the reconnectPolicy says to)
+ * @property {Boolean} [optimistic=false] - true to update the state (and fire the events for it) as soon as a command that changes it is issued instead of waiting to hear back from MPD.
+ * if MPD ends up disagreeing the state is put back the way MPD says it is and StateReconciled is fired
+ * @property {(Function|Object)} [logger] - where log messages go, a function that takes a string or something with a log method like console. giving one turns logging on
+ * @property {Boolean} [autoLoad=true] - false to only load the status when connecting, the rest waits until {@link MPD#load} is called
+ */
+/**
+ * how the client goes about reconnecting when it looses it's connection.
+ * the wait before each attempt is delay * factor^(attempts so far), capped at max_delay, with up to jitter of it randomly taken off
+ * @typedef {Object} reconnectPolicy
+ * @property {Integer} [delay=3000] - milliseconds to wait before the first attempt
+ * @property {Integer} [max_delay=60000] - never wait longer than this many milliseconds
+ * @property {Number} [factor=1] - how much longer to wait after each failed attempt, 2 doubles the wait every time, 1 always waits delay
+ * @property {Number} [jitter=0] - 0-1, fraction of the wait that is randomly taken off
+ * @property {?Integer} [max_attempts=null] - give up after this many attempts in a row, null to never give up
+ * @property {reconnectGiveUpCallback} [onGiveUp] - called when we give up
+ */
+/**
+ * how the client makes sure the connection is still alive.
+ * after interval milliseconds of not hearing from MPD it sends a ping, every timeout milliseconds after that without a responce counts as a miss,
+ * after max_missed misses in a row the connection is dropped (and reconnected, if the reconnectPolicy says to)
+ * @typedef {Object} heartbeatPolicy
+ * @property {Integer} [interval=30000] - milliseconds of quiet before pinging MPD
+ * @property {Integer} [timeout=10000] - milliseconds to wait for the responce before counting a miss
+ * @property {Integer} [max_missed=2] - how many misses in a row before giving up on the connection
+ */
+/**
+ * called when the client has given up on reconnecting
+ * @callback reconnectGiveUpCallback
+ * @param {Integer} attempts - how many times we tried
+ * @param {MPD} client - the client that gave up
+ */
+/**
+ * event handler for 'Message' events
+ * someone sent a message to a channel we are subscribed to, see {@link MPD#subscribe}
+ * @event Message
+ * @type {Object}
+ * @callback messageEventHandler
+ * @param {Object} message
+ * @param {String} message.channel - the channel it was sent to
+ * @param {String} message.message - what it said
+ * @param {MPD} client - the client that this event happened on
+ */
+/**
+ * event handler for 'PartitionsChanged' events
+ * a partition was added, removed or changed, see {@link MPD#listPartitions}
+ * @event PartitionsChanged
+ * @callback partitionsChangedEventHandler
+ * @param {MPD} client - the client that this event happened on
+ */
+/**
+ * event handler for 'ChannelsChanged' events
+ * a client subscribed to or unsubscribed from a channel, see {@link MPD#getChannels}
+ * @event ChannelsChanged
+ * @callback channelsChangedEventHandler
+ * @param {MPD} client - the client that this event happened on
+ */
+/**
+ * event handler for 'StickersChanged' events
+ * some song's stickers were changed (by any client), MPD doesn't say which
+ * @event StickersChanged
+ * @callback stickersChangedEventHandler
+ * @param {MPD} client - the client that this event happened on
+ */
+/**
+ * event handler for 'StateReconciled' events
+ * in optimistic mode, MPD's status didn't match the changes we made ahead of it, the state has been put back the way MPD says it is
+ * (and the usual events fired for that) by the time this is called
+ * @event StateReconciled
+ * @type {Object}
+ * @callback stateReconciledEventHandler
+ * @param {Object} reconciliation
+ * @param {Object} reconciliation.optimistic - what we thought things would be, i.e. {volume:0.5}
+ * @param {Object} reconciliation.actual - what MPD says they are, i.e. {volume:0.3}
+ * @param {MPD} client - the client that this event happened on
+ */
+/**
+ * event handler for 'ConnectionStateChanged' events
+ * the connection moved on to a different stage of it's life:
+ * 'connecting' -> 'authenticating' (only if there is a password) -> 'loading' -> 'ready',
+ * 'reconnecting' when waiting to try again after the connection was lost, 'closed' when we've stopped trying
+ * @event ConnectionStateChanged
+ * @type {Object}
+ * @callback connectionStateChangedEventHandler
+ * @param {Object} change
+ * @param {String} change.previous - the state we were in
+ * @param {String} change.current - the state we are in now
  * @param {MPD} client - the client that this event happened on
  */
@@ -0,0 +1,10 @@
+/**
+ * ES module entry point for MPD.js under Node.js
+ * @example
+ * import MPD from './mpd.mjs';
+ * var client = MPD(6600, 'localhost');
+ */
+import MPD from './mpd.js';
+
+export default MPD;
+export { MPD };